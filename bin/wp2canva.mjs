@@ -0,0 +1,463 @@
+#!/usr/bin/env node
+// Command-line export for cron jobs and scripts: fetch -> clean up -> test images -> optimize -> CSV,
+// using the same core modules as the app. Progress goes to stderr; the CSV goes to --out or stdout.
+//
+//   wp2canva --domain site.com --all --optimize --out batch.csv
+//   wp2canva --config wp2canva.json --history history.json --out exports/batch.csv
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_TEXT_RULES } from '../src/core/text.mjs';
+import {
+  DEFAULT_IMAGE_FALLBACK,
+  DEFAULT_IMAGE_RULE,
+  DEFAULT_IMAGE_TEST_SETTINGS,
+  testPostImages
+} from '../src/core/images.mjs';
+import {
+  DEFAULT_CONTENT_TYPE,
+  DEFAULT_FILTERS,
+  buildPostsUrl,
+  domainKey,
+  extractPosts,
+  fetchContentTypes,
+  fetchPostsPage,
+  fetchSitePages,
+  postRowKey,
+  validateDomain
+} from '../src/core/wordpress.mjs';
+import { AI_PROVIDERS, createApiClient, createRuleBasedClient, optimizePosts } from '../src/core/optimize.mjs';
+import { DEFAULT_SCHEDULE_RULES, buildSchedule, scheduleRowId } from '../src/core/schedule.mjs';
+import {
+  DEFAULT_USAGE_SETTINGS,
+  estimateBatchUsage,
+  estimateRunUsage,
+  formatCost,
+  formatTokens,
+  priceFor,
+  usageCost
+} from '../src/core/usage.mjs';
+import {
+  DEFAULT_CSV_COLUMNS,
+  DEFAULT_LINK_SETTINGS,
+  DEFAULT_PINTEREST_SETTINGS,
+  DEFAULT_URL_REWRITE,
+  EXPORT_PROFILES,
+  buildExportFiles,
+  buildExportZip,
+  buildTrackingUrl,
+  expandVariantRows,
+  exportColumnsFor,
+  historyEntries,
+  pinterestExportWarnings
+} from '../src/core/export.mjs';
+import { DEFAULT_TITLE_TEMPLATE, MAX_VARIANTS, VARIANT_ANGLES } from '../src/core/prompts.mjs';
+import { optimizeTitles, generatePinDetails } from '../server/claude.mjs';
+import { DEFAULT_PROVIDER, PROVIDERS } from '../server/providers.mjs';
+import { loadEnvFile } from '../server/index.mjs';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const USAGE = `Usage: wp2canva [options]
+
+  --config <file>        JSON config (sites, imageRule, ai, export, schedule); flags override it
+  --domain <domain>      Fetch this site instead of the sites in the config
+  --content-type <slug>  Content type to fetch, e.g. post, page, product (default: post)
+  --all                  Walk every page instead of fetching one batch
+  --offset <n>           Offset of the single batch fetched without --all (default: 0)
+  --batch-size <n>       Posts per request (default: 10)
+  --test-images          Test every image and report the ones Canva may not load
+  --optimize             Rewrite titles with the AI provider, or through the API server with --api-url
+  --provider <id>        AI provider: ${AI_PROVIDERS.map(provider => provider.id).join(', ')} (default: anthropic)
+  --endpoint <url>       Provider endpoint, e.g. http://localhost:11434/v1 for Ollama
+  --variants <n>         Title variants per post, 1-5 (default: 1)
+  --budget <usd>         Stop optimizing before the run's estimated cost goes over this amount
+  --api-url <url>        Optimize through a running API server instead of calling the provider directly
+  --profile <id>         Export profile: ${EXPORT_PROFILES.map(profile => profile.id).join(' or ')} (default: canva)
+  --history <file>       Export history JSON: exported posts are skipped and this export is added
+  --out <file>           Write the CSV here (a ZIP when the export is split); default: stdout
+  --quiet                Only report errors
+  --help                 Show this help`;
+
+// Error that should print the usage text and exit with status 2
+class UsageError extends Error {}
+
+let quiet = false;
+const log = (message) => {
+  if (!quiet) process.stderr.write(`${message}\n`);
+};
+
+const readJsonFile = (file, fallback) => {
+  if (!fs.existsSync(file)) {
+    if (fallback !== undefined) return fallback;
+    throw new Error(`${file} not found`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+};
+
+const positiveInteger = (value, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`${name} must be a whole number above 0`);
+  }
+  return number;
+};
+
+// A site from the config (or --domain) in the shape the core modules expect.
+// contentType is a slug here and is resolved against the site's /wp/v2/types later.
+const readSite = (site, defaults) => {
+  if (!site || typeof site.domain !== 'string' || !validateDomain(site.domain)) {
+    throw new Error(`Invalid site domain: ${JSON.stringify(site?.domain)}`);
+  }
+  const domain = domainKey(site.domain);
+  return {
+    name: site.name || domain,
+    domain,
+    contentType: site.contentType || defaults.contentType || DEFAULT_CONTENT_TYPE.slug,
+    // Application Passwords can come from the environment to keep them out of config files
+    username: site.username || process.env.WP_USERNAME || '',
+    appPassword: site.appPassword || process.env.WP_APP_PASSWORD || '',
+    filters: { ...DEFAULT_FILTERS, ...site.filters },
+    imageFallback: { ...DEFAULT_IMAGE_FALLBACK, ...site.imageFallback },
+    textRules: { ...DEFAULT_TEXT_RULES, ...site.textRules },
+    urlRewrite: { ...DEFAULT_URL_REWRITE, ...site.urlRewrite }
+  };
+};
+
+// Swap a content type slug for the type's REST details
+const resolveContentType = async (site) => {
+  if (site.contentType === DEFAULT_CONTENT_TYPE.slug) {
+    return { ...site, contentType: DEFAULT_CONTENT_TYPE };
+  }
+  const types = await fetchContentTypes(`https://${site.domain}/wp-json/wp/v2`, site);
+  const type = types.find(candidate => candidate.slug === site.contentType || candidate.restBase === site.contentType);
+  if (!type) {
+    throw new Error(`${site.name}: unknown content type "${site.contentType}" (available: ${types.map(candidate => candidate.slug).join(', ')})`);
+  }
+  return { ...site, contentType: type };
+};
+
+// Model client that calls the provider directly with the server's keys and retry policy.
+// Whoever runs the CLI is the operator, so an endpoint from its flags or config is allowed.
+const createProviderClient = (settings) => {
+  const env = settings.endpoint
+    ? { ...process.env, AI_ALLOWED_ENDPOINTS: [process.env.AI_ALLOWED_ENDPOINTS, settings.endpoint].filter(Boolean).join(',') }
+    : process.env;
+  return {
+    optimizeTitles: async (titles, variants = 1) => ({
+      ...await optimizeTitles(titles, variants, {
+        template: settings.promptTemplate,
+        brand: settings.brand,
+        audience: settings.audience,
+        maxChars: settings.maxChars,
+        model: settings.model,
+        maxTokens: settings.maxTokens,
+        provider: settings.provider,
+        endpoint: settings.endpoint,
+        apiKey: settings.apiKey
+      }, env),
+      angles: variants > 1 ? VARIANT_ANGLES.slice(0, variants) : []
+    }),
+    generatePinDetails: (items, fields) => generatePinDetails(items, fields, {
+      model: settings.model,
+      provider: settings.provider,
+      endpoint: settings.endpoint,
+      apiKey: settings.apiKey
+    }, env)
+  };
+};
+
+// Rule-based runs locally; the others go to the API server with --api-url or straight to the provider
+const createClient = (settings, apiUrl) => {
+  if (settings.provider === 'rules') return createRuleBasedClient(settings);
+  return apiUrl ? createApiClient(apiUrl.replace(/\/+$/, ''), settings) : createProviderClient(settings);
+};
+
+// Fetch one batch, or every page with --all, skipping posts already seen
+const fetchSite = async (site, options, seenKeys) => {
+  if (!options.all) {
+    const url = buildPostsUrl(site, { offset: options.offset }, options.batchSize);
+    const { data } = await fetchPostsPage(url, undefined, site);
+    const posts = (await extractPosts(data, site, options.imageRule)).filter(post => !seenKeys.has(post.key));
+    posts.forEach(post => seenKeys.add(post.key));
+    log(`${site.name}: ${posts.length} new posts`);
+    return { posts, failedPages: [] };
+  }
+
+  const posts = [];
+  const { failedPages } = await fetchSitePages(site, {
+    seenKeys,
+    perPage: options.batchSize,
+    imageRule: options.imageRule,
+    onPage: (newPosts, { page, totalPages, total }) => {
+      posts.push(...newPosts);
+      log(`${site.name}: page ${page} of ${totalPages} · ${posts.length} posts collected${total ? ` (${total} on site)` : ''}`);
+    }
+  });
+  failedPages.forEach(message => log(`${site.name}: ${message}`));
+  return { posts, failedPages };
+};
+
+const run = async (argv) => {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      config: { type: 'string' },
+      domain: { type: 'string' },
+      'content-type': { type: 'string' },
+      all: { type: 'boolean', default: false },
+      offset: { type: 'string' },
+      'batch-size': { type: 'string' },
+      'test-images': { type: 'boolean', default: false },
+      optimize: { type: 'boolean', default: false },
+      provider: { type: 'string' },
+      endpoint: { type: 'string' },
+      variants: { type: 'string' },
+      budget: { type: 'string' },
+      'api-url': { type: 'string' },
+      profile: { type: 'string' },
+      history: { type: 'string' },
+      out: { type: 'string' },
+      quiet: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  quiet = values.quiet;
+  loadEnvFile(path.join(rootDir, '.env'));
+
+  const config = values.config ? readJsonFile(values.config) : {};
+  const exportConfig = config.export || {};
+  const ai = { variantsPerPost: 1, detailFields: [], batchSize: 5, ...config.ai };
+  const options = {
+    all: values.all || Boolean(config.all),
+    offset: values.offset !== undefined ? Number(values.offset) || 0 : config.offset || 0,
+    batchSize: values['batch-size'] ? positiveInteger(values['batch-size'], '--batch-size') : config.batchSize || 10,
+    imageRule: { ...DEFAULT_IMAGE_RULE, ...config.imageRule }
+  };
+  if (values.variants) ai.variantsPerPost = positiveInteger(values.variants, '--variants');
+  if (values.budget !== undefined) {
+    ai.budget = Number(values.budget);
+    if (!Number.isFinite(ai.budget) || ai.budget < 0) {
+      throw new UsageError('--budget must be an amount in USD, 0 or more');
+    }
+  }
+  if (values.provider) ai.provider = values.provider;
+  if (values.endpoint) ai.endpoint = values.endpoint;
+  ai.provider = ai.provider || process.env.AI_PROVIDER || DEFAULT_PROVIDER;
+  if (!AI_PROVIDERS.some(provider => provider.id === ai.provider)) {
+    throw new UsageError(`Unknown provider "${ai.provider}"`);
+  }
+  // The model decides the price, so fill in the provider's default like the server does
+  if (!ai.model && PROVIDERS[ai.provider]) ai.model = PROVIDERS[ai.provider].defaultModel;
+  if (ai.variantsPerPost > MAX_VARIANTS) {
+    throw new UsageError(`--variants must be ${MAX_VARIANTS} or less`);
+  }
+
+  const profile = EXPORT_PROFILES.find(candidate => candidate.id === (values.profile || exportConfig.profile || 'canva'));
+  if (!profile) {
+    throw new UsageError(`Unknown profile "${values.profile || exportConfig.profile}"`);
+  }
+
+  const siteDefaults = { contentType: values['content-type'] || config.contentType };
+  const siteConfigs = values.domain ? [{ domain: values.domain }] : config.sites || [];
+  if (siteConfigs.length === 0) {
+    throw new UsageError('Give a --domain or list "sites" in the --config file');
+  }
+  const sites = siteConfigs.map(site => readSite(site, siteDefaults));
+
+  // Posts in the export history are skipped, like "Skip posts already exported" in the app
+  const history = values.history ? readJsonFile(values.history, { history: [] }) : null;
+  const historyList = Array.isArray(history) ? history : history?.history || [];
+  const seenKeys = new Set(config.skipExported === false ? [] : historyList
+    .filter(entry => entry && typeof entry.domain === 'string' && Array.isArray(entry.postIds))
+    .flatMap(entry => entry.postIds.map(id => postRowKey(entry.domain, id))));
+
+  // Fetch
+  let posts = [];
+  let failures = 0;
+  for (const site of sites) {
+    try {
+      const result = await fetchSite(await resolveContentType(site), options, seenKeys);
+      posts.push(...result.posts);
+      failures += result.failedPages.length;
+    } catch (error) {
+      // One unreachable site shouldn't stop the others
+      log(`${site.name}: failed to fetch posts: ${error.message}`);
+      failures++;
+    }
+  }
+
+  if (posts.length === 0) {
+    log('No new posts found. Nothing to export.');
+    return failures > 0 ? 1 : 0;
+  }
+
+  // Test images
+  if (values['test-images']) {
+    const imageTest = { ...DEFAULT_IMAGE_TEST_SETTINGS, ...config.imageTest };
+    const results = {};
+    let done = 0;
+    await testPostImages(posts, imageTest, (post, result) => {
+      results[post.key] = result;
+      done++;
+      if (!result.ok) log(`Image failed for "${post.title}": ${result.reason}`);
+    });
+    posts = posts.map(post => (post.imageUrl
+      ? { ...post, imageStatus: results[post.key].ok ? 'canva_ok' : 'canva_fail', imageError: results[post.key].reason }
+      : { ...post, imageStatus: 'no_image', imageError: null }));
+    log(`Tested ${done} images: ${Object.values(results).filter(result => !result.ok).length} may not work with Canva`);
+  }
+
+  // Optimize; like the app, only posts with an image are sent
+  let run = null;
+  if (values.optimize) {
+    const client = createClient(ai, values['api-url']);
+    const rulesFor = (post) => sites.find(site => site.domain === post.domain)?.textRules;
+    const toOptimize = posts.filter(post => post.imageUrl);
+    const price = priceFor(ai.provider, ai.model, { ...DEFAULT_USAGE_SETTINGS, ...ai });
+    // Without a template of its own the prompt uses the server's default one
+    const estimateSettings = { promptTemplate: DEFAULT_TITLE_TEMPLATE, ...ai };
+    const estimate = estimateRunUsage(toOptimize, estimateSettings);
+    const budget = ai.budget || 0;
+    if (ai.provider !== 'rules') {
+      log(`Estimate: ${estimate.requests} requests, about ${formatTokens(estimate.inputTokens)} input + ${formatTokens(estimate.outputTokens)} output tokens, ${formatCost(usageCost(estimate, price))}`);
+      if (budget > 0 && !price) log('No price is known for this model; set ai.inputPrice and ai.outputPrice to enforce --budget');
+    }
+
+    const changes = {};
+    const { failedPosts, failedBatches, usage, requests, remaining } = await optimizePosts(
+      toOptimize,
+      client,
+      {
+        batchSize: ai.batchSize,
+        variantsPerPost: ai.variantsPerPost,
+        detailFields: ai.detailFields,
+        rulesFor,
+        budget,
+        price,
+        estimateUsage: (batch) => estimateBatchUsage(batch, estimateSettings)
+      },
+      (batchChanges, { done, total }) => {
+        Object.assign(changes, batchChanges);
+        log(`Optimized ${done} of ${total} posts`);
+      }
+    );
+    posts = posts.map(post => (changes[post.key] ? { ...post, ...changes[post.key] } : post));
+    failedBatches.forEach(message => log(message));
+    if (failedPosts > 0) {
+      log(`${failedPosts} posts failed to optimize and keep their original titles`);
+      failures++;
+    }
+    if (remaining.length > 0) {
+      log(`Stopped before going over the ${formatCost(budget)} budget; ${remaining.length} posts keep their original titles`);
+      failures++;
+    }
+
+    // Same summary the app keeps next to its export history
+    run = {
+      id: `${Date.now().toString(36)}-cli`,
+      finishedAt: new Date().toISOString(),
+      provider: ai.provider,
+      model: ai.provider === 'rules' ? '' : ai.model || '',
+      ...usage,
+      cost: usageCost(usage, price),
+      posts: toOptimize.length - remaining.length,
+      requests,
+      estimatedCost: usageCost(estimate, price),
+      budget,
+      status: remaining.length > 0 ? 'paused' : 'completed'
+    };
+    if (ai.provider !== 'rules') log(`Used ${formatTokens(usage.inputTokens)} input + ${formatTokens(usage.outputTokens)} output tokens in ${requests} request${requests === 1 ? '' : 's'}: ${formatCost(run.cost)}`);
+  }
+
+  // Schedule and build the export rows
+  let rows = expandVariantRows(posts);
+  const schedule = config.schedule ? buildSchedule(rows, { ...DEFAULT_SCHEDULE_RULES, ...config.schedule }) : {};
+  const linkSettings = { ...DEFAULT_LINK_SETTINGS, ...exportConfig.links };
+  rows = rows.map(row => ({
+    ...row,
+    publishAt: schedule[scheduleRowId(row)] || null,
+    trackingUrl: buildTrackingUrl(row, sites.find(site => site.domain === row.domain)?.urlRewrite, linkSettings)
+  }));
+
+  const csvColumns = (exportConfig.columns || DEFAULT_CSV_COLUMNS).map((column, index) => ({ param: '', ...column, id: index + 1 }));
+  const pinterestSettings = { ...DEFAULT_PINTEREST_SETTINGS, ...exportConfig.pinterest };
+  const columns = exportColumnsFor(profile.id, csvColumns, pinterestSettings);
+  const date = new Date().toISOString().split('T')[0];
+  const files = buildExportFiles(rows, columns, {
+    splitMode: exportConfig.splitMode,
+    chunkSize: exportConfig.chunkSize,
+    filenamePattern: exportConfig.filenamePattern,
+    filePrefix: profile.filePrefix,
+    date
+  });
+  if (profile.id === 'pinterest') {
+    pinterestExportWarnings(rows, files, pinterestSettings).forEach(message => log(message));
+  }
+
+  // Write the CSV, or a ZIP of every file when the export is split
+  if (files.length === 1) {
+    if (values.out) {
+      fs.mkdirSync(path.dirname(path.resolve(values.out)), { recursive: true });
+      fs.writeFileSync(values.out, files[0].csv);
+      log(`Wrote ${rows.length} rows to ${values.out}`);
+    } else {
+      process.stdout.write(`${files[0].csv}\n`);
+    }
+  } else {
+    if (!values.out) {
+      throw new UsageError(`The export is split into ${files.length} files; give --out for the ZIP`);
+    }
+    const zipPath = values.out.replace(/(\.csv)?$/i, '').replace(/(\.zip)?$/i, '.zip');
+    const zip = await buildExportZip(files, {
+      profile: profile.id,
+      splitMode: exportConfig.splitMode,
+      chunkSize: exportConfig.splitMode === 'chunk' ? exportConfig.chunkSize : undefined,
+      filenamePattern: exportConfig.filenamePattern,
+      columns: columns.map(column => column.header),
+      utm: linkSettings.utmEnabled ? linkSettings : undefined,
+      schedule: config.schedule
+    }, 'nodebuffer');
+    fs.mkdirSync(path.dirname(path.resolve(zipPath)), { recursive: true });
+    fs.writeFileSync(zipPath, zip);
+    log(`Wrote ${rows.length} rows in ${files.length} files to ${zipPath}`);
+  }
+
+  // Record the export so the next run skips these posts
+  if (values.history) {
+    const entries = files.flatMap(file => historyEntries(file.filename, file.rows));
+    const runs = Array.isArray(history?.runs) ? history.runs : [];
+    fs.writeFileSync(values.history, JSON.stringify({
+      type: 'wordpress-to-canva-export-history',
+      version: 1,
+      history: [...entries, ...historyList],
+      runs: run ? [run, ...runs] : runs
+    }, null, 2));
+    log(`Added ${entries.length} entries to ${values.history}`);
+  }
+
+  return failures > 0 ? 1 : 0;
+};
+
+run(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    process.stderr.write(`wp2canva: ${error.message}\n`);
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+      process.stderr.write(`\n${USAGE}\n`);
+      process.exitCode = 2;
+      return;
+    }
+    process.exitCode = 1;
+  });
@@ -0,0 +1,264 @@
+// Request handling for the API server: the AI routes, plus the production build for everything else.
+// Kept apart from index.mjs, which starts the server, so tests can create one.
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+  optimizeTitles,
+  generatePinDetails,
+  MAX_VARIANTS,
+  VARIANT_ANGLES,
+  PIN_DETAIL_FIELDS
+} from './claude.mjs';
+import { DEFAULT_PROVIDER, PROVIDERS, ProviderApiError, isAllowedEndpoint } from './providers.mjs';
+import { MAX_CHARS_RANGE, MAX_TOKENS_RANGE } from '../src/core/prompts.mjs';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const mimeTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.ico': 'image/x-icon',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain; charset=utf-8',
+  '.map': 'application/json; charset=utf-8'
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+};
+
+// Report an upstream failure; rate limits stay 429 (with retry-after) so clients can back off too
+const sendApiError = (res, error) => {
+  if (error instanceof ProviderApiError && error.status === 429) {
+    if (error.retryAfterMs !== null) {
+      res.setHeader('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+    sendJson(res, 429, { error: error.message });
+    return;
+  }
+  sendJson(res, 502, { error: error.message });
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new Error('Request body too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    let body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+    } catch (error) {
+      reject(new Error('Request body must be valid JSON'));
+      return;
+    }
+    // Handlers destructure the body, so null, arrays and bare values are refused here
+    if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+      reject(new Error('Request body must be a JSON object'));
+      return;
+    }
+    resolve(body);
+  });
+  req.on('error', reject);
+});
+
+// Pull prompt/model/provider settings out of a request body, rejecting anything malformed
+const readPromptSettings = (settings = {}) => {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    throw new Error('"settings" must be an object');
+  }
+  const { template, brand, audience, maxChars, model, maxTokens, provider, endpoint, apiKey } = settings;
+  ['template', 'brand', 'audience', 'model', 'provider', 'endpoint', 'apiKey'].forEach(key => {
+    if (settings[key] !== undefined && typeof settings[key] !== 'string') {
+      throw new Error(`"settings.${key}" must be a string`);
+    }
+  });
+  [['maxChars', maxChars, MAX_CHARS_RANGE], ['maxTokens', maxTokens, MAX_TOKENS_RANGE]].forEach(([key, value, { min, max }]) => {
+    if (value !== undefined && (!Number.isInteger(value) || value < min || value > max)) {
+      throw new Error(`"settings.${key}" must be a whole number from ${min} to ${max}`);
+    }
+  });
+  if (provider && !PROVIDERS[provider]) {
+    throw new Error(`"settings.provider" must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (endpoint && !/^https?:\/\/[^\s]+$/i.test(endpoint)) {
+    throw new Error('"settings.endpoint" must be an http(s) URL');
+  }
+  if (endpoint && !isAllowedEndpoint(provider || process.env.AI_PROVIDER || DEFAULT_PROVIDER, endpoint)) {
+    throw new Error(`"settings.endpoint" ${endpoint} is not allowed; the server operator can add it to AI_ALLOWED_ENDPOINTS`);
+  }
+  return { template, brand, audience, maxChars, model, maxTokens, provider, endpoint, apiKey };
+};
+
+// POST /api/optimize-titles  { titles: string[], variants?: number, settings?: object }
+//   -> { titles: string[], variants: string[][], angles: string[], usage: { inputTokens, outputTokens } }
+const handleOptimizeTitles = async (req, res) => {
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+    return;
+  }
+
+  const { titles, variants = 1 } = body;
+  let settings;
+  try {
+    settings = readPromptSettings(body.settings);
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+    return;
+  }
+  if (!Array.isArray(titles) || titles.length === 0 || !titles.every(title => typeof title === 'string')) {
+    sendJson(res, 400, { error: 'Expected a non-empty "titles" array of strings' });
+    return;
+  }
+  if (!Number.isInteger(variants) || variants < 1 || variants > MAX_VARIANTS) {
+    sendJson(res, 400, { error: `"variants" must be a whole number from 1 to ${MAX_VARIANTS}` });
+    return;
+  }
+
+  try {
+    const { variants: variantTitles, usage } = await optimizeTitles(titles, variants, settings);
+    sendJson(res, 200, {
+      titles: variantTitles.map(list => list[0]),
+      variants: variantTitles,
+      angles: variants > 1 ? VARIANT_ANGLES.slice(0, variants) : [],
+      usage
+    });
+  } catch (error) {
+    console.error('AI provider error:', error);
+    sendApiError(res, error);
+  }
+};
+
+// POST /api/pin-details  { items: { title, content }[], fields?: string[], settings?: { model, provider, endpoint, apiKey } }
+//   -> { details: { description?, altText?, keywords? }[], usage: { inputTokens, outputTokens } }
+const handlePinDetails = async (req, res) => {
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+    return;
+  }
+
+  const { items, fields = PIN_DETAIL_FIELDS } = body;
+  let settings;
+  try {
+    settings = readPromptSettings(body.settings);
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+    return;
+  }
+  if (!Array.isArray(items) || items.length === 0 || !items.every(item => item && typeof item.title === 'string')) {
+    sendJson(res, 400, { error: 'Expected a non-empty "items" array of { title, content } objects' });
+    return;
+  }
+  if (!Array.isArray(fields) || fields.length === 0 || !fields.every(field => PIN_DETAIL_FIELDS.includes(field))) {
+    sendJson(res, 400, { error: `"fields" must list one or more of: ${PIN_DETAIL_FIELDS.join(', ')}` });
+    return;
+  }
+
+  try {
+    sendJson(res, 200, await generatePinDetails(items, fields, settings));
+  } catch (error) {
+    console.error('AI provider error:', error);
+    sendApiError(res, error);
+  }
+};
+
+// Serve files from buildDir, falling back to index.html for client-side routes
+const serveStatic = (req, res, buildDir) => {
+  let requestPath;
+  try {
+    requestPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    // Malformed percent-encoding such as %E0%A4%A
+    sendJson(res, 400, { error: 'Bad request path' });
+    return;
+  }
+  let filePath = path.normalize(path.join(buildDir, requestPath));
+
+  // Compare with the separator so siblings such as build-old/ don't pass
+  if (filePath !== buildDir && !filePath.startsWith(buildDir + path.sep)) {
+    sendJson(res, 403, { error: 'Forbidden' });
+    return;
+  }
+  if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(buildDir, 'index.html');
+  }
+  if (!fs.existsSync(filePath)) {
+    sendJson(res, 404, { error: 'Not found. Run "npm run build" to serve the app from this server.' });
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': mimeTypes[path.extname(filePath)] || 'application/octet-stream' });
+  fs.createReadStream(filePath).pipe(res);
+};
+
+// buildDir holds the production build served for every non-API path
+export const createServer = ({ buildDir }) => http.createServer((req, res) => {
+  let pathname;
+  try {
+    ({ pathname } = new URL(req.url, 'http://localhost'));
+  } catch (error) {
+    // Raw request targets such as "http://[" aren't URLs at all
+    sendJson(res, 400, { error: 'Bad request URL' });
+    return;
+  }
+
+  // Only needed when the app is hosted on a different origin (REACT_APP_API_BASE_URL)
+  if (process.env.CORS_ORIGIN) {
+    res.setHeader('Access-Control-Allow-Origin', process.env.CORS_ORIGIN);
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+  }
+
+  const apiRoutes = {
+    '/api/optimize-titles': handleOptimizeTitles,
+    '/api/pin-details': handlePinDetails
+  };
+
+  if (apiRoutes[pathname]) {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    // A handler bug must not become an unhandled rejection, which would end the process
+    apiRoutes[pathname](req, res).catch(error => {
+      console.error('API request failed:', error);
+      if (res.headersSent) {
+        res.end();
+      } else {
+        sendJson(res, 500, { error: 'Internal server error' });
+      }
+    });
+    return;
+  }
+
+  if (pathname.startsWith('/api/')) {
+    sendJson(res, 404, { error: 'Unknown API endpoint' });
+    return;
+  }
+
+  serveStatic(req, res, buildDir);
+});
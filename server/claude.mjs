@@ -0,0 +1,215 @@
+// Title optimization prompts - runs on the server so API keys never reach the browser.
+// Prompts go to whichever provider the request picks (see providers.mjs).
+
+import { ProviderApiError, resolveProvider } from './providers.mjs';
+import {
+  DEFAULT_MAX_CHARS,
+  DEFAULT_TITLE_TEMPLATE,
+  VARIANT_ANGLES,
+  defaultMaxTokens
+} from '../src/core/prompts.mjs';
+
+export {
+  DEFAULT_MAX_CHARS,
+  DEFAULT_MAX_TOKENS,
+  DEFAULT_TITLE_TEMPLATE,
+  MAX_VARIANTS,
+  VARIANT_ANGLES
+} from '../src/core/prompts.mjs';
+
+// Retry policy for rate limits (429), server errors (5xx) and overloaded responses (529)
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 60000;
+
+const isRetryable = (error) => error instanceof ProviderApiError
+  ? error.status === 429 || error.status >= 500
+  // fetch() rejects with a TypeError on network failures
+  : error instanceof TypeError;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Fill {placeholders}; lines whose placeholders all resolve to empty values are dropped
+export const renderPromptTemplate = (template, values) => template
+  .split('\n')
+  .filter(line => {
+    const keys = [...line.matchAll(/\{(\w+)\}/g)].map(match => match[1]).filter(key => key in values);
+    return keys.length === 0 || keys.some(key => String(values[key]).trim() !== '');
+  })
+  .map(line => line.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match)))
+  .join('\n');
+
+// Response format appended to every title prompt so the reply can be parsed
+const titleFormatInstructions = (variants) => (variants > 1
+  ? `Write ${variants} distinct titles for each original title. Pinterest rewards several fresh pins per URL, so each title for the same post must take a clearly different angle:
+${VARIANT_ANGLES.slice(0, variants).map((angle, index) => `${index + 1}. ${angle} angle`).join('\n')}
+
+Respond with ONLY a JSON array containing one array of ${variants} titles per original title, in the same order, with the angles in the order listed above:
+[
+  ["post 1 ${VARIANT_ANGLES[0]} title", "post 1 ${VARIANT_ANGLES[1]} title"],
+  ["post 2 ${VARIANT_ANGLES[0]} title", "post 2 ${VARIANT_ANGLES[1]} title"]
+]
+
+DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`
+  : `Respond with ONLY a JSON array in this exact format:
+[
+  "optimized title 1",
+  "optimized title 2"
+]
+
+DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`);
+
+// Build the Pinterest rewrite prompt for a list of titles from a (possibly custom) template
+export const buildTitlePrompt = (titles, variants = 1, settings = {}) => {
+  const template = settings.template || DEFAULT_TITLE_TEMPLATE;
+  const titleList = titles.map((title, index) => `${index + 1}. ${title}`).join('\n');
+
+  let prompt = renderPromptTemplate(template, {
+    titles: titleList,
+    brand: settings.brand || '',
+    audience: settings.audience || '',
+    max_chars: settings.maxChars || DEFAULT_MAX_CHARS,
+    count: titles.length
+  });
+
+  // The titles must always reach the model, even if a custom template forgot {titles}
+  if (!template.includes('{titles}')) {
+    prompt += `\n\nOriginal titles:\n${titleList}`;
+  }
+
+  return `${prompt}\n\n${titleFormatInstructions(variants)}`;
+};
+
+// Pull the JSON array out of the model's text response
+export const parseTitleResponse = (content) => {
+  const jsonMatch = content.match(/\[.*\]/s);
+  if (!jsonMatch) {
+    throw new Error('Invalid response format from AI');
+  }
+  try {
+    return JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    throw new Error(`AI returned invalid JSON: ${error.message}`);
+  }
+};
+
+// Check the parsed reply has one non-empty title (or list of titles) per input title
+export const validateTitleResponse = (parsed, count, variants = 1) => {
+  if (parsed.length !== count) {
+    throw new Error(`AI returned ${parsed.length} titles for ${count} posts`);
+  }
+  parsed.forEach((entry, index) => {
+    const list = Array.isArray(entry) ? entry : [entry];
+    if (variants > 1 && list.length < variants) {
+      throw new Error(`AI returned ${list.length} of ${variants} variants for post ${index + 1}`);
+    }
+    if (list.length === 0 || !list.every(title => typeof title === 'string' && title.trim())) {
+      throw new Error(`AI returned an empty or non-text title for post ${index + 1}`);
+    }
+  });
+};
+
+// Pin details that can be generated alongside titles
+export const PIN_DETAIL_FIELDS = ['description', 'altText', 'keywords'];
+
+const PIN_DETAIL_INSTRUCTIONS = {
+  description: '"description": a Pinterest pin description of 100-500 characters that sells the click, written in natural sentences with relevant keywords',
+  altText: '"altText": image alt text (under 125 characters) describing what the pin image for this post most likely shows, for screen readers',
+  keywords: '"keywords": an array of 5-10 short lowercase keyword phrases people would search on Pinterest to find this post'
+};
+
+// Longest slice of post content sent per post, to keep prompts small
+const MAX_CONTENT_CHARS = 1500;
+
+// Build the prompt for pin descriptions, alt text and keywords
+export const buildPinDetailsPrompt = (items, fields) => `Write Pinterest pin details for each of these blog posts. Stay truthful to the content.
+
+For each post, return an object with these fields:
+${fields.map(field => `- ${PIN_DETAIL_INSTRUCTIONS[field]}`).join('\n')}
+
+Posts:
+${items.map((item, index) => `${index + 1}. Title: ${item.title}
+Content: ${(item.content || '').slice(0, MAX_CONTENT_CHARS) || '(not available)'}`).join('\n\n')}
+
+Respond with ONLY a JSON array with one object per post, in the same order:
+[
+  { ${fields.map(field => `"${field}": ${field === 'keywords' ? '["keyword one", "keyword two"]' : '"..."'}`).join(', ')} }
+]
+
+DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`;
+
+// Send a single-message prompt to the request's provider, retrying rate limits, server errors and
+// overloads with exponential backoff (honoring retry-after). Resolves { text, usage }.
+const callModel = async (prompt, maxTokens, settings, env) => {
+  const { id, provider, endpoint, apiKey, model } = resolveProvider(settings, env);
+
+  const parsedRetries = parseInt(env.CLAUDE_MAX_RETRIES, 10);
+  const maxRetries = Number.isInteger(parsedRetries) && parsedRetries >= 0 ? parsedRetries : DEFAULT_MAX_RETRIES;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await provider.request(prompt, { endpoint, apiKey, model, maxTokens });
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryable(error)) {
+        throw error;
+      }
+      const backoff = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt) * (0.5 + Math.random() / 2);
+      const delay = Math.min(RETRY_MAX_DELAY_MS, error.retryAfterMs ?? backoff);
+      console.warn(`${id} request failed (${error.message}); retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+};
+
+// Ask the model for an array of variant titles per input title, in input order.
+// settings: { template, brand, audience, maxChars, model, maxTokens, provider, endpoint, apiKey }
+// Resolves { variants: string[][], usage: { inputTokens, outputTokens } }
+export const optimizeTitles = async (titles, variants = 1, settings = {}, env = process.env) => {
+  const { text: content, usage } = await callModel(
+    buildTitlePrompt(titles, variants, settings),
+    settings.maxTokens || defaultMaxTokens(titles.length, variants),
+    settings,
+    env
+  );
+  const parsed = parseTitleResponse(content);
+  validateTitleResponse(parsed, titles.length, variants);
+
+  // Single-variant responses are a flat array; normalize to one array per title
+  return {
+    variants: parsed.map(entry => (Array.isArray(entry) ? entry : [entry]).slice(0, variants)),
+    usage
+  };
+};
+
+// Trim a description to Pinterest's 500 character limit without cutting a word in half
+const clampDescription = (text) => {
+  if (text.length <= 500) return text;
+  const cut = text.slice(0, 500);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 400 ? cut.lastIndexOf(' ') : 499).trim()}…`;
+};
+
+// Ask the model for descriptions, alt text and keywords; items are { title, content }.
+// Resolves { details: object[], usage }
+export const generatePinDetails = async (items, fields = PIN_DETAIL_FIELDS, settings = {}, env = process.env) => {
+  const { text: content, usage } = await callModel(buildPinDetailsPrompt(items, fields), 600 * items.length, settings, env);
+  const parsed = parseTitleResponse(content);
+  if (parsed.length !== items.length) {
+    throw new Error(`AI returned pin details for ${parsed.length} of ${items.length} posts`);
+  }
+
+  const details = items.map((_, index) => {
+    const entry = parsed[index] && typeof parsed[index] === 'object' ? parsed[index] : {};
+    const result = {};
+    if (fields.includes('description') && typeof entry.description === 'string') {
+      result.description = clampDescription(entry.description.trim());
+    }
+    if (fields.includes('altText') && typeof entry.altText === 'string') {
+      result.altText = entry.altText.trim();
+    }
+    if (fields.includes('keywords') && Array.isArray(entry.keywords)) {
+      result.keywords = entry.keywords.filter(keyword => typeof keyword === 'string' && keyword.trim()).map(keyword => keyword.trim());
+    }
+    return result;
+  });
+  return { details, usage };
+};
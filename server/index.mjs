@@ -0,0 +1,31 @@
+// Small API server: keeps AI provider keys server-side and serves the production build
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createServer } from './app.mjs';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const buildDir = path.join(rootDir, 'build');
+
+// Load KEY=value pairs from .env without overriding real environment variables
+export const loadEnvFile = (file) => {
+  if (!fs.existsSync(file)) return;
+  fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (match && process.env[match[1]] === undefined) {
+      process.env[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+    }
+  });
+};
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  loadEnvFile(path.join(rootDir, '.env'));
+  const port = Number(process.env.API_PORT) || 3001;
+  createServer({ buildDir }).listen(port, () => {
+    console.log(`API server listening on http://localhost:${port}`);
+    if (!process.env.CLAUDE_API_KEY) {
+      console.warn('Warning: CLAUDE_API_KEY is not set; Anthropic requests will fail unless the app sends its own key.');
+    }
+  });
+}
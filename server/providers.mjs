@@ -0,0 +1,181 @@
+// AI providers the API server can send prompts to. Each one posts a single-message prompt to its
+// endpoint and returns the text of the reply with its token usage; prompts and parsing live in claude.mjs.
+
+export const DEFAULT_PROVIDER = 'anthropic';
+
+// Error from a provider's API, carrying the HTTP status and any retry-after delay
+export class ProviderApiError extends Error {
+  constructor(message, status, retryAfterMs = null) {
+    super(message);
+    this.name = 'ProviderApiError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// retry-after is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Turn a failed response into a ProviderApiError; both APIs send { error: { type, message } } bodies
+const responseError = async (response) => {
+  const body = await response.json().catch(() => null);
+  const error = typeof body?.error === 'string' ? { message: body.error } : body?.error;
+  const detail = error?.message
+    ? [error.type, error.message].filter(Boolean).join(': ')
+    : response.statusText;
+  return new ProviderApiError(
+    `API call failed: ${response.status}${detail ? ` ${detail}` : ''}`,
+    response.status,
+    parseRetryAfter(response.headers.get('retry-after'))
+  );
+};
+
+// Anthropic Messages API
+const requestAnthropic = async (prompt, { endpoint, apiKey, model, maxTokens }) => {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify({
+      model,
+      max_tokens: maxTokens,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    })
+  });
+
+  if (!response.ok) {
+    throw await responseError(response);
+  }
+
+  const data = await response.json();
+  const text = data.content?.find(block => block.type === 'text')?.text ?? data.content?.[0]?.text;
+  if (typeof text !== 'string') {
+    throw new Error('Invalid response format from AI');
+  }
+  return {
+    text,
+    usage: { inputTokens: data.usage?.input_tokens || 0, outputTokens: data.usage?.output_tokens || 0 }
+  };
+};
+
+// Any OpenAI-compatible chat completions endpoint: OpenAI, Ollama, LM Studio, vLLM...
+const requestOpenAiCompatible = async (prompt, { endpoint, apiKey, model, maxTokens }) => {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      // Local servers usually run without a key
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+    },
+    body: JSON.stringify({
+      model,
+      max_tokens: maxTokens,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    })
+  });
+
+  if (!response.ok) {
+    throw await responseError(response);
+  }
+
+  const data = await response.json();
+  const text = data.choices?.[0]?.message?.content;
+  if (typeof text !== 'string') {
+    throw new Error('Invalid response format from AI');
+  }
+  // Some local servers leave usage out; it then counts as zero
+  return {
+    text,
+    usage: { inputTokens: data.usage?.prompt_tokens || 0, outputTokens: data.usage?.completion_tokens || 0 }
+  };
+};
+
+// Replies resolve { text, usage: { inputTokens, outputTokens } }.
+// keyEnv/endpointEnv name the server's environment variables for each provider
+export const PROVIDERS = {
+  anthropic: {
+    label: 'Anthropic',
+    defaultEndpoint: 'https://api.anthropic.com/v1/messages',
+    defaultModel: 'claude-sonnet-4-20250514',
+    keyEnv: 'CLAUDE_API_KEY',
+    endpointEnv: 'CLAUDE_API_ENDPOINT',
+    keyRequired: true,
+    request: requestAnthropic
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    defaultEndpoint: 'https://api.openai.com/v1/chat/completions',
+    defaultModel: 'gpt-4o-mini',
+    keyEnv: 'OPENAI_API_KEY',
+    endpointEnv: 'OPENAI_API_ENDPOINT',
+    keyRequired: false,
+    request: requestOpenAiCompatible
+  }
+};
+
+// Accept a bare base URL such as http://localhost:11434/v1 for chat completions endpoints
+const normalizeEndpoint = (providerId, endpoint) => (providerId === 'openai' && /\/v1\/?$/.test(endpoint)
+  ? `${endpoint.replace(/\/+$/, '')}/chat/completions`
+  : endpoint);
+
+const serverEndpointFor = (providerId, env) => normalizeEndpoint(
+  providerId,
+  env[PROVIDERS[providerId].endpointEnv] || PROVIDERS[providerId].defaultEndpoint
+);
+
+// Endpoints a client may pick: the server's own, plus those the operator lists in AI_ALLOWED_ENDPOINTS
+// (comma-separated). Anything else is refused so the server can't be used to reach arbitrary hosts.
+export const isAllowedEndpoint = (providerId, endpoint, env = process.env) => {
+  if (!PROVIDERS[providerId]) return false;
+  const normalized = normalizeEndpoint(providerId, endpoint);
+  const allowed = (env.AI_ALLOWED_ENDPOINTS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => normalizeEndpoint(providerId, entry));
+  return normalized === serverEndpointFor(providerId, env) || allowed.includes(normalized);
+};
+
+// Work out which provider, endpoint, key and model a request uses.
+// settings: { provider, endpoint, apiKey, model } from the client; env holds the server's defaults.
+// The server's own key is only sent to the server's own endpoint, never to one chosen by the client.
+export const resolveProvider = (settings = {}, env = process.env) => {
+  const providerId = settings.provider || env.AI_PROVIDER || DEFAULT_PROVIDER;
+  const provider = PROVIDERS[providerId];
+  if (!provider) {
+    throw new Error(`Unknown AI provider "${providerId}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  const serverEndpoint = serverEndpointFor(providerId, env);
+  if (settings.endpoint && !isAllowedEndpoint(providerId, settings.endpoint, env)) {
+    throw new Error(`Endpoint ${settings.endpoint} is not allowed; add it to AI_ALLOWED_ENDPOINTS on the server`);
+  }
+  const endpoint = settings.endpoint ? normalizeEndpoint(providerId, settings.endpoint) : serverEndpoint;
+  const apiKey = settings.apiKey || (endpoint === serverEndpoint ? env[provider.keyEnv] || '' : '');
+  if (provider.keyRequired && !apiKey) {
+    throw new Error(endpoint === serverEndpoint
+      ? `${provider.keyEnv} is not configured on the server`
+      : `An API key is required for the custom ${provider.label} endpoint`);
+  }
+
+  return { id: providerId, provider, endpoint, apiKey, model: settings.model || provider.defaultModel };
+};
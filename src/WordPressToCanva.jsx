@@ -1,80 +1,720 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import Papa from 'papaparse';
+import {
+  CASE_RULES,
+  DEFAULT_TEXT_RULES,
+  normalizePostTitles,
+  normalizeTitle,
+  replacementPattern
+} from './core/text.mjs';
+import {
+  DEFAULT_IMAGE_FALLBACK,
+  DEFAULT_IMAGE_RULE,
+  DEFAULT_IMAGE_SIZES,
+  DEFAULT_IMAGE_TEST_SETTINGS,
+  IMAGE_SOURCES,
+  applyImageRule,
+  aspectRatioLabel,
+  formatBytes,
+  imageWarnings,
+  testPostImages
+} from './core/images.mjs';
+import {
+  DEFAULT_CONTENT_TYPE,
+  DEFAULT_FILTERS,
+  buildPostsUrl,
+  domainKey,
+  extractPosts,
+  fetchAllItems,
+  fetchContentTypes,
+  fetchPostsPage,
+  fetchSitePages,
+  hostKey,
+  postRowKey,
+  postUrlKey,
+  siteHasCredentials,
+  slugFromUrl,
+  validateDomain
+} from './core/wordpress.mjs';
+import {
+  DEFAULT_MAX_CHARS,
+  DEFAULT_TITLE_TEMPLATE,
+  MAX_CHARS_RANGE,
+  MAX_TOKENS_PER_TITLE,
+  MAX_TOKENS_RANGE,
+  MAX_VARIANTS,
+  defaultMaxTokens
+} from './core/prompts.mjs';
+import {
+  AI_PROVIDERS,
+  DEFAULT_PROVIDER_SETTINGS,
+  createModelClient,
+  mergePostChanges,
+  optimizePosts
+} from './core/optimize.mjs';
+import {
+  DEFAULT_USAGE_SETTINGS,
+  EMPTY_USAGE,
+  MODEL_PRICES,
+  addUsage,
+  estimateBatchUsage,
+  estimateRunUsage,
+  formatCost,
+  formatTokens,
+  priceFor,
+  usageCost
+} from './core/usage.mjs';
+import {
+  DEFAULT_SCHEDULE_RULES,
+  TIME_ZONES,
+  addDays,
+  buildSchedule,
+  daysBetween,
+  formatMinutes,
+  scheduleRowId,
+  zonedDayAndTime,
+  zonedTimeToUtc
+} from './core/schedule.mjs';
+import {
+  COLUMN_SOURCES,
+  DEFAULT_CSV_COLUMNS,
+  DEFAULT_FILENAME_PATTERN,
+  DEFAULT_LINK_SETTINGS,
+  DEFAULT_PINTEREST_SETTINGS,
+  DEFAULT_URL_REWRITE,
+  EXPORT_PROFILES,
+  PINTEREST_MAX_ROWS,
+  SPLIT_MODES,
+  UTM_FIELDS,
+  UTM_PLACEHOLDERS,
+  buildExportFiles,
+  buildExportZip,
+  buildTrackingUrl,
+  expandVariantRows,
+  exportColumnsFor,
+  historyEntries,
+  pinterestExportWarnings,
+  resolveSourceValue,
+  selectExportPosts,
+  splitExportRows
+} from './core/export.mjs';
+
+// Title optimization goes through the local API server so provider keys stay server-side
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || '';
+
+// Pin details the optimizer can write alongside titles
+const PIN_DETAIL_OPTIONS = [
+  { value: 'description', label: 'Pin descriptions (100-500 chars)' },
+  { value: 'altText', label: 'Image alt text' },
+  { value: 'keywords', label: 'Keywords & hashtags' }
+];
+
+// Settings captured by a prompt preset
+const PRESET_FIELDS = ['promptTemplate', 'brand', 'audience', 'maxChars', 'model', 'maxTokens', 'batchSize'];
+
+const DEFAULT_PROMPT_SETTINGS = {
+  promptTemplate: DEFAULT_TITLE_TEMPLATE,
+  brand: '',
+  audience: '',
+  maxChars: DEFAULT_MAX_CHARS,
+  model: AI_PROVIDERS[0].models[0],
+  // Blank lets the server scale max tokens with the titles and variants in each request
+  maxTokens: '',
+  batchSize: 5
+};
+
+const BUILT_IN_PRESETS = [
+  { name: 'Default', builtIn: true, ...DEFAULT_PROMPT_SETTINGS },
+  {
+    name: 'Listicle',
+    builtIn: true,
+    ...DEFAULT_PROMPT_SETTINGS,
+    promptTemplate: `Rewrite these blog post titles as Pinterest listicle titles. Lead with a specific number ("7 Easy...", "12 Genius..."), promise a concrete payoff, and stay truthful to the content. Keep each title under {max_chars} characters.
+Write in the voice of {brand}.
+Speak directly to {audience}.
+
+Original titles:
+{titles}`
+  },
+  {
+    name: 'How-to',
+    builtIn: true,
+    ...DEFAULT_PROMPT_SETTINGS,
+    promptTemplate: `Rewrite these blog post titles as practical Pinterest how-to titles. Start with "How to" or a clear action verb, name the result the reader gets, and mention speed or ease when the content supports it. Keep each title under {max_chars} characters.
+Write in the voice of {brand}.
+Speak directly to {audience}.
+
+Original titles:
+{titles}`
+  },
+  {
+    name: 'Seasonal',
+    builtIn: true,
+    ...DEFAULT_PROMPT_SETTINGS,
+    promptTemplate: `Rewrite these blog post titles for Pinterest with a seasonal hook. Tie each title to the current or upcoming season, holiday or event where it fits naturally, and never invent a seasonal link the content doesn't support. Keep each title under {max_chars} characters.
+Write in the voice of {brand}.
+Speak directly to {audience}.
+
+Original titles:
+{titles}`
+  }
+];
+
+// localStorage keys for data saved in this browser
+const PRESETS_STORAGE_KEY = 'wordpress-to-canva:prompt-presets';
+const HISTORY_STORAGE_KEY = 'wordpress-to-canva:export-history';
+const PINTEREST_STORAGE_KEY = 'wordpress-to-canva:pinterest-settings';
+const SITES_STORAGE_KEY = 'wordpress-to-canva:sites';
+const PROVIDER_STORAGE_KEY = 'wordpress-to-canva:ai-provider';
+const USAGE_STORAGE_KEY = 'wordpress-to-canva:usage-settings';
+const RUNS_STORAGE_KEY = 'wordpress-to-canva:optimize-runs';
+const sessionStorageKey = (domain) => `wordpress-to-canva:session:${domain}`;
+
+// Session slot used when every registered site is fetched together
+const ALL_SITES_SESSION = 'all-sites';
+
+// Read a JSON value from localStorage, falling back when it's missing or unreadable
+const readStorage = (key, fallback) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// Write a JSON value to localStorage; returns false when the browser refuses (e.g. quota exceeded)
+const writeStorage = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.error(`Failed to save ${key}:`, error);
+    return false;
+  }
+};
+
+// Read saved presets, ignoring anything that isn't a list of named presets
+const loadSavedPresets = () => {
+  const saved = readStorage(PRESETS_STORAGE_KEY, []);
+  return Array.isArray(saved) ? saved.filter(preset => preset && typeof preset.name === 'string') : [];
+};
+
+// Export history entries must name a domain, a time and the exported post IDs
+const isHistoryEntry = (entry) => Boolean(
+  entry && typeof entry.domain === 'string' && typeof entry.exportedAt === 'string' && Array.isArray(entry.postIds)
+);
+
+// Read the export history, ignoring malformed entries
+const loadExportHistory = () => {
+  const saved = readStorage(HISTORY_STORAGE_KEY, []);
+  return Array.isArray(saved) ? saved.filter(isHistoryEntry) : [];
+};
+
+// Optimization run summaries must name a time and the tokens used
+const isRunEntry = (run) => Boolean(
+  run && typeof run.id === 'string' && typeof run.finishedAt === 'string' &&
+  Number.isFinite(run.inputTokens) && Number.isFinite(run.outputTokens)
+);
+
+// Read the optimization run summaries kept next to the export history
+const loadOptimizeRuns = () => {
+  const saved = readStorage(RUNS_STORAGE_KEY, []);
+  return Array.isArray(saved) ? saved.filter(isRunEntry) : [];
+};
+
+// Rows from sessions saved before multi-site support only carried the post ID
+const normalizeSessionPost = (post, domain) => (post.key ? post : {
+  ...post,
+  domain,
+  site: post.site || domain,
+  key: postRowKey(domain, post.id)
+});
+
+// Registered sites; Application Passwords are never saved, so they come back empty
+const loadSavedSites = () => {
+  const saved = readStorage(SITES_STORAGE_KEY, []);
+  return Array.isArray(saved)
+    ? saved.filter(site => site && typeof site.domain === 'string' && site.domain).map(site => ({ ...site, appPassword: '' }))
+    : [];
+};
+
+// Short summary of a site's filters for the sites table
+const describeFilters = (filters = {}) => {
+  const parts = [];
+  if (filters.categories?.length) parts.push(`${filters.categories.length} categories`);
+  if (filters.tags?.length) parts.push(`${filters.tags.length} tags`);
+  if (filters.author) parts.push('author');
+  if (filters.after || filters.before) parts.push(`dates ${filters.after || '…'} to ${filters.before || '…'}`);
+  if (filters.search?.trim()) parts.push(`"${filters.search.trim()}"`);
+  return parts.length > 0 ? parts.join(', ') : 'none';
+};
+
+// Keep only known preset fields with the right types, filling gaps from the defaults
+// Keep a number setting inside the range the API server accepts; anything that isn't a number falls back
+const clampToRange = (value, { min, max }, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+const sanitizePreset = (preset) => {
+  const clean = { name: String(preset.name).trim() };
+  PRESET_FIELDS.forEach(field => {
+    const fallback = DEFAULT_PROMPT_SETTINGS[field];
+    const value = preset[field];
+    if (field === 'maxTokens') {
+      clean[field] = value === '' ? value : clampToRange(value, MAX_TOKENS_RANGE, fallback);
+      return;
+    }
+    if (field === 'maxChars') {
+      clean[field] = clampToRange(value, MAX_CHARS_RANGE, fallback);
+      return;
+    }
+    clean[field] = typeof value === typeof fallback && value !== '' ? value : fallback;
+  });
+  return clean;
+};
+
+// Trigger a browser download for generated content
+const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Post statuses that can be requested; anything but "publish" needs credentials
+const POST_STATUSES = [
+  { value: 'publish', label: 'Published' },
+  { value: 'future', label: 'Scheduled' },
+  { value: 'draft', label: 'Draft' },
+  { value: 'pending', label: 'Pending review' },
+  { value: 'private', label: 'Private' }
+];
+
+// Row fields an imported CSV column can fill, with the headers recognised automatically
+// (the default Canva columns and the Pinterest bulk-upload format)
+const IMPORT_FIELDS = [
+  { value: 'url', label: 'Post URL', headers: ['url', 'link', 'permalink', 'post url'] },
+  { value: 'title', label: 'Title', headers: ['title', 'pin title', 'optimized title'] },
+  { value: 'originalTitle', label: 'Original title', headers: ['original title'] },
+  { value: 'image', label: 'Image URL', headers: ['image', 'image url', 'media url', 'featured image'] },
+  { value: 'description', label: 'Description', headers: ['description', 'pin description'] },
+  { value: 'altText', label: 'Alt text', headers: ['alt text', 'image alt text'] },
+  { value: 'keywords', label: 'Keywords', headers: ['keywords'] }
+];
+
+// Most slugs looked up per WordPress request when matching imported URLs
+const IMPORT_SLUG_BATCH = 50;
+
+// Pick a CSV column for each import field by its header
+const guessImportMapping = (fields) => Object.fromEntries(IMPORT_FIELDS.map(field => [
+  field.value,
+  fields.find(name => field.headers.includes(name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim())) || ''
+]));
+
+const loadPinterestSettings = () => {
+  const saved = readStorage(PINTEREST_STORAGE_KEY, null);
+  return saved && typeof saved === 'object'
+    ? { ...DEFAULT_PINTEREST_SETTINGS, ...saved, categoryBoards: { ...saved.categoryBoards } }
+    : DEFAULT_PINTEREST_SETTINGS;
+};
+
+// Provider choice and endpoints; API keys are never saved, so they come back empty
+const loadProviderSettings = () => {
+  const saved = readStorage(PROVIDER_STORAGE_KEY, null);
+  if (!saved || typeof saved !== 'object') return DEFAULT_PROVIDER_SETTINGS;
+  return {
+    provider: AI_PROVIDERS.some(provider => provider.id === saved.provider) ? saved.provider : DEFAULT_PROVIDER_SETTINGS.provider,
+    anthropic: { endpoint: saved.anthropic?.endpoint || '', apiKey: '' },
+    openai: { endpoint: saved.openai?.endpoint || '', apiKey: '' }
+  };
+};
 
 const WordPressToCanva = () => {
   // State management
   const [config, setConfig] = useState({
     domain: '',
     batchSize: 20,
-    currentOffset: 0
+    currentOffset: 0,
+    contentType: DEFAULT_CONTENT_TYPE.slug,
+    // Application Password credentials - kept in memory only
+    username: '',
+    appPassword: '',
+    skipExported: true,
+    // Name used when saving the form as a registered site (defaults to the domain)
+    siteName: ''
   });
+  const [contentTypes, setContentTypes] = useState([DEFAULT_CONTENT_TYPE]);
   
   const [posts, setPosts] = useState([]);
   const [processing, setProcessing] = useState(false);
-  const [csvColumns, setCsvColumns] = useState([
-    'Title', 'Image', 'URL'
-  ]);
+  const [csvColumns, setCsvColumns] = useState(DEFAULT_CSV_COLUMNS);
+  const nextColumnIdRef = useRef(DEFAULT_CSV_COLUMNS.length + 1);
   
   const [processingStatus, setProcessingStatus] = useState({
     fetching: false,
     validating: false,
+    // { done, total } while images are being tested
+    imageTestProgress: null,
     optimizing: false,
+    // { done, total, usage } while titles are being optimized
+    optimizeProgress: null,
     generating: false
   });
   
   const [errors, setErrors] = useState([]);
   const [processedIds, setProcessedIds] = useState(new Set());
+  const [fetchProgress, setFetchProgress] = useState(null);
+  const fetchControllerRef = useRef(null);
+
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [filterOptions, setFilterOptions] = useState({
+    categories: [],
+    tags: [],
+    authors: []
+  });
+  const [loadingFilterOptions, setLoadingFilterOptions] = useState(false);
+
+  const [aiSettings, setAiSettings] = useState({
+    variantsPerPost: 1,
+    detailFields: [],
+    ...DEFAULT_PROMPT_SETTINGS
+  });
+  const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
+  const [imageRule, setImageRule] = useState(DEFAULT_IMAGE_RULE);
+  const [imageFallback, setImageFallback] = useState(DEFAULT_IMAGE_FALLBACK);
+  const [textRules, setTextRules] = useState(DEFAULT_TEXT_RULES);
+  const [urlRewrite, setUrlRewrite] = useState(DEFAULT_URL_REWRITE);
+  const [linkSettings, setLinkSettings] = useState(DEFAULT_LINK_SETTINGS);
+  const [imageTestSettings, setImageTestSettings] = useState(DEFAULT_IMAGE_TEST_SETTINGS);
+  const [showFailingImagesOnly, setShowFailingImagesOnly] = useState(false);
+  const [savedPresets, setSavedPresets] = useState(loadSavedPresets);
+  const [activePreset, setActivePreset] = useState('Default');
+  const [presetName, setPresetName] = useState('');
+  const presetFileInputRef = useRef(null);
+  const [retryingIds, setRetryingIds] = useState(new Set());
+  const [pinterestSettings, setPinterestSettings] = useState(loadPinterestSettings);
+  const [scheduleRules, setScheduleRules] = useState(DEFAULT_SCHEDULE_RULES);
+  // Publish instant per scheduled pin, keyed by scheduleRowId
+  const [schedule, setSchedule] = useState({});
+  const draggedPinRef = useRef(null);
+  const [exportOptions, setExportOptions] = useState({
+    profile: 'canva',
+    splitMode: 'none',
+    chunkSize: 100,
+    filenamePattern: DEFAULT_FILENAME_PATTERN,
+    approvedOnly: false
+  });
+
+  const [sites, setSites] = useState(loadSavedSites);
+  const [siteFilter, setSiteFilter] = useState('');
+  const [exportHistory, setExportHistory] = useState(loadExportHistory);
+  const [optimizeRuns, setOptimizeRuns] = useState(loadOptimizeRuns);
+  const [usageSettings, setUsageSettings] = useState(() => ({ ...DEFAULT_USAGE_SETTINGS, ...readStorage(USAGE_STORAGE_KEY, {}) }));
+  // Row keys a run left unsent when it paused at the budget cap
+  const [pausedKeys, setPausedKeys] = useState([]);
+  // Tokens the current run has used, including its resumes and row retries, so the budget covers them all.
+  // A ref rather than state so retries finishing together each add to the latest total.
+  const runUsageRef = useRef(EMPTY_USAGE);
+  // Domain whose session is live in the UI; autosave only writes to this domain's slot
+  const [sessionDomain, setSessionDomain] = useState(null);
+  const [savedSession, setSavedSession] = useState(null);
+  const historyFileInputRef = useRef(null);
+  // CSV waiting for its column mapping: { filename, fields, rows, mapping }
+  const [csvImport, setCsvImport] = useState(null);
+  const csvFileInputRef = useRef(null);
+
+  // Persist saved presets in this browser
+  useEffect(() => {
+    writeStorage(PRESETS_STORAGE_KEY, savedPresets);
+  }, [savedPresets]);
+
+  // Persist registered sites, minus their Application Passwords
+  useEffect(() => {
+    writeStorage(SITES_STORAGE_KEY, sites.map(({ appPassword, ...site }) => site));
+  }, [sites]);
+
+  // Persist the AI provider and endpoints, minus API keys
+  useEffect(() => {
+    writeStorage(PROVIDER_STORAGE_KEY, {
+      provider: providerSettings.provider,
+      anthropic: { endpoint: providerSettings.anthropic.endpoint },
+      openai: { endpoint: providerSettings.openai.endpoint }
+    });
+  }, [providerSettings]);
+
+  // Persist Pinterest board settings
+  useEffect(() => {
+    writeStorage(PINTEREST_STORAGE_KEY, pinterestSettings);
+  }, [pinterestSettings]);
+
+  // Persist the export history
+  useEffect(() => {
+    writeStorage(HISTORY_STORAGE_KEY, exportHistory);
+  }, [exportHistory]);
+
+  // Persist optimization run summaries and budget settings
+  useEffect(() => {
+    writeStorage(RUNS_STORAGE_KEY, optimizeRuns);
+  }, [optimizeRuns]);
+
+  useEffect(() => {
+    writeStorage(USAGE_STORAGE_KEY, usageSettings);
+  }, [usageSettings]);
+
+  const currentDomain = domainKey(config.domain);
+
+  // Session slot the form points at: its domain, or the all-sites slot when the domain is empty
+  const sessionSlot = currentDomain || (sites.length > 0 ? ALL_SITES_SESSION : '');
+
+  // Look for a saved session whenever the slot changes to one that isn't live
+  useEffect(() => {
+    if (!sessionSlot || sessionSlot === sessionDomain) {
+      setSavedSession(null);
+      return;
+    }
+    const session = readStorage(sessionStorageKey(sessionSlot), null);
+    setSavedSession(session && Array.isArray(session.posts) ? session : null);
+  }, [sessionSlot, sessionDomain]);
 
-  // Helper function to validate domain
-  const validateDomain = (domain) => {
-    const domainRegex = /^[a-zA-Z0-9][a-zA-Z0-9-]{1,61}[a-zA-Z0-9]\.[a-zA-Z]{2,}$/;
-    return domainRegex.test(domain.replace(/^https?:\/\//, ''));
-  };
-
-     // Helper function to validate image URL
-   const validateImageUrl = async (imageUrl) => {
-     try {
-       // Try HEAD request first (more efficient)
-       const response = await fetch(imageUrl, { 
-         method: 'HEAD',
-         mode: 'no-cors' // This allows cross-origin requests
-       });
-       return true; // If we get here, the request didn't fail
-     } catch (error) {
-       try {
-         // Fallback: try to create an image object to test if it loads
-         return new Promise((resolve) => {
-           const img = new Image();
-           img.onload = () => resolve(true);
-           img.onerror = () => resolve(false);
-           img.src = imageUrl;
-           // Timeout after 5 seconds
-           setTimeout(() => resolve(false), 5000);
-         });
-       } catch (fallbackError) {
-         return false;
-       }
-     }
-   };
-
-   // Helper function to test if image URL is accessible by Canva
-   const testImageForCanva = async (imageUrl) => {
-     try {
-       // Try to fetch the image to see if it's publicly accessible
-       const response = await fetch(imageUrl, {
-         method: 'GET',
-         mode: 'cors'
-       });
-       
-       if (response.ok) {
-         const contentType = response.headers.get('content-type');
-         return contentType && contentType.startsWith('image/');
-       }
-       return false;
-     } catch (error) {
-       return false;
-     }
-   };
+  // Autosave the live session (debounced). The Application Password is never saved.
+  useEffect(() => {
+    if (!sessionDomain) return undefined;
+
+    const timer = setTimeout(() => {
+      const session = {
+        domain: sessionDomain,
+        savedAt: new Date().toISOString(),
+        contentType: config.contentType,
+        currentOffset: config.currentOffset,
+        filters,
+        csvColumns,
+        imageRule,
+        imageFallback,
+        textRules,
+        urlRewrite,
+        linkSettings,
+        scheduleRules,
+        schedule,
+        processedIds: [...processedIds],
+        posts
+      };
+
+      // Fall back to dropping post content (only used for pin details) if storage is full
+      if (!writeStorage(sessionStorageKey(sessionDomain), session)) {
+        const slimPosts = posts.map(({ content, ...post }) => post);
+        if (!writeStorage(sessionStorageKey(sessionDomain), { ...session, posts: slimPosts })) {
+          setErrors(prev => [...prev.filter(message => !message.startsWith('Could not save session')),
+            'Could not save session: browser storage is full. Export your CSV and clear old sessions.']);
+        }
+      }
+    }, 500);
+
+    return () => clearTimeout(timer);
+  }, [sessionDomain, posts, csvColumns, imageRule, imageFallback, textRules, urlRewrite, linkSettings, scheduleRules, schedule, processedIds, filters, config.contentType, config.currentOffset]);
+
+  // Row keys (domain + post ID) of every exported post, from this browser or imported history
+  const exportedKeys = new Set(
+    exportHistory.flatMap(entry => entry.postIds.map(id => postRowKey(entry.domain, id)))
+  );
+
+  // Row keys a fetch should skip: everything already in the session, plus exported posts when enabled
+  const skipKeysForFetch = () => new Set([
+    ...processedIds,
+    ...(config.skipExported ? exportedKeys : [])
+  ]);
+
+  // Fetching into a slot makes it the live session (replacing any saved one not resumed)
+  const startSession = (slot = currentDomain) => {
+    if (sessionDomain !== slot) {
+      setSessionDomain(slot);
+    }
+  };
+
+  // Load the saved session for the current slot
+  const resumeSession = () => {
+    if (!savedSession) return;
+    const sessionPosts = savedSession.posts.map(post => normalizeSessionPost(post, savedSession.domain));
+    setPosts(sessionPosts);
+    setProcessedIds(new Set((savedSession.processedIds || sessionPosts.map(post => post.key))
+      .map(id => (typeof id === 'number' ? postRowKey(savedSession.domain, id) : id))));
+    if (Array.isArray(savedSession.csvColumns) && savedSession.csvColumns.length > 0) {
+      setCsvColumns(savedSession.csvColumns);
+      nextColumnIdRef.current = Math.max(...savedSession.csvColumns.map(column => column.id)) + 1;
+    }
+    if (savedSession.filters) {
+      setFilters(prev => ({ ...prev, ...savedSession.filters }));
+    }
+    if (savedSession.imageRule) {
+      setImageRule({ ...DEFAULT_IMAGE_RULE, ...savedSession.imageRule });
+    }
+    if (savedSession.imageFallback) {
+      setImageFallback({ ...DEFAULT_IMAGE_FALLBACK, ...savedSession.imageFallback });
+    }
+    if (savedSession.textRules) {
+      setTextRules({ ...DEFAULT_TEXT_RULES, ...savedSession.textRules });
+    }
+    if (savedSession.urlRewrite) {
+      setUrlRewrite({ ...DEFAULT_URL_REWRITE, ...savedSession.urlRewrite });
+    }
+    if (savedSession.linkSettings) {
+      setLinkSettings({ ...DEFAULT_LINK_SETTINGS, ...savedSession.linkSettings });
+    }
+    if (savedSession.scheduleRules) {
+      setScheduleRules({ ...DEFAULT_SCHEDULE_RULES, ...savedSession.scheduleRules });
+    }
+    setSchedule(savedSession.schedule || {});
+    setConfig(prev => ({
+      ...prev,
+      contentType: savedSession.contentType || prev.contentType,
+      currentOffset: savedSession.currentOffset || 0
+    }));
+    setErrors([]);
+    setSessionDomain(sessionSlot);
+  };
+
+  // Throw away the saved session for the current slot and start fresh
+  const discardSession = () => {
+    localStorage.removeItem(sessionStorageKey(sessionSlot));
+    setPosts([]);
+    setProcessedIds(new Set());
+    setSessionDomain(sessionSlot);
+  };
+
+  // Record which posts went into an exported file, one history entry per site
+  const recordExport = (filename, rows) => {
+    setExportHistory(prev => [...historyEntries(filename, rows), ...prev]);
+  };
+
+  // Download the whole export history (all domains) and the optimization run costs as JSON
+  const exportHistoryFile = () => {
+    const data = { type: 'wordpress-to-canva-export-history', version: 1, history: exportHistory, runs: optimizeRuns };
+    downloadFile(JSON.stringify(data, null, 2), `export_history_${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+  };
+
+  // Merge a teammate's export history, skipping entries we already have
+  const importHistoryFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      const list = Array.isArray(data) ? data : data.history;
+      if (!Array.isArray(list)) {
+        throw new Error('Expected a list of export history entries');
+      }
+
+      const entryKey = (entry) => entry.id || `${entry.domain}|${entry.exportedAt}|${entry.filename}`;
+      const imported = list.filter(isHistoryEntry).map(entry => ({
+        id: entryKey(entry),
+        domain: domainKey(entry.domain),
+        exportedAt: entry.exportedAt,
+        filename: String(entry.filename || ''),
+        rowCount: Number(entry.rowCount) || entry.postIds.length,
+        postIds: entry.postIds.filter(id => Number.isInteger(id))
+      }));
+
+      const known = new Set(exportHistory.map(entryKey));
+      const added = imported.filter(entry => !known.has(entry.id));
+      setExportHistory(prev => [...prev, ...added].sort((a, b) => b.exportedAt.localeCompare(a.exportedAt)));
+
+      // Run summaries are optional; files from before cost tracking have none
+      const knownRuns = new Set(optimizeRuns.map(run => run.id));
+      const addedRuns = (Array.isArray(data.runs) ? data.runs : []).filter(run => isRunEntry(run) && !knownRuns.has(run.id));
+      setOptimizeRuns(prev => [...prev, ...addedRuns].sort((a, b) => b.finishedAt.localeCompare(a.finishedAt)));
+
+      setErrors([`Imported ${added.length} export history entries (${imported.length - added.length} already known)`
+        + `${addedRuns.length > 0 ? ` and ${addedRuns.length} optimization runs` : ''}.`]);
+    } catch (error) {
+      setErrors([`Failed to import history: ${error.message}`]);
+    }
+  };
+
+  // Whether Application Password credentials have been entered
+  const hasCredentials = siteHasCredentials(config);
+
+  // Currently selected content type (falls back to standard posts)
+  const selectedContentType = contentTypes.find(type => type.slug === config.contentType) || DEFAULT_CONTENT_TYPE;
+
+  // The site described by the form, in the same shape as a registered site
+  const formSite = {
+    name: config.siteName.trim() || currentDomain,
+    domain: currentDomain,
+    contentType: selectedContentType,
+    username: config.username,
+    appPassword: config.appPassword,
+    filters,
+    imageFallback,
+    textRules,
+    urlRewrite
+  };
+
+  // Move a fallback strategy up (-1) or down (1) in the order
+  const moveImageFallback = (index, direction) => {
+    setImageFallback(prev => {
+      const order = [...prev.order];
+      const target = index + direction;
+      if (target < 0 || target >= order.length) return prev;
+      [order[index], order[target]] = [order[target], order[index]];
+      return { ...prev, order };
+    });
+  };
+
+  // Load the site's content types, categories, tags and authors for the filter panel
+  const loadFilterOptions = async () => {
+    if (!validateDomain(config.domain)) {
+      setErrors(['Please enter a valid domain']);
+      return;
+    }
+
+    setLoadingFilterOptions(true);
+    setErrors([]);
+
+    const cleanDomain = config.domain.replace(/^https?:\/\//, '');
+    const base = `https://${cleanDomain}/wp-json/wp/v2`;
+
+    const [types, categories, tags, authors] = await Promise.allSettled([
+      fetchContentTypes(base, formSite),
+      fetchAllItems(`${base}/categories?orderby=name&hide_empty=true`, formSite),
+      fetchAllItems(`${base}/tags?orderby=name&hide_empty=true`, formSite),
+      fetchAllItems(`${base}/users?orderby=name`, formSite)
+    ]);
+
+    setFilterOptions({
+      categories: categories.status === 'fulfilled' ? categories.value.map(c => ({ id: c.id, name: c.name, count: c.count })) : [],
+      tags: tags.status === 'fulfilled' ? tags.value.map(t => ({ id: t.id, name: t.name, count: t.count })) : [],
+      authors: authors.status === 'fulfilled' ? authors.value.map(a => ({ id: a.id, name: a.name })) : []
+    });
+
+    if (types.status === 'fulfilled' && types.value.length > 0) {
+      setContentTypes(types.value);
+      if (!types.value.some(type => type.slug === config.contentType)) {
+        setConfig(prev => ({ ...prev, contentType: DEFAULT_CONTENT_TYPE.slug }));
+      }
+    }
+
+    const messages = [];
+    if (types.status === 'rejected') messages.push(`Failed to load content types: ${types.reason.message}`);
+    if (categories.status === 'rejected') messages.push(`Failed to load categories: ${categories.reason.message}`);
+    if (tags.status === 'rejected') messages.push(`Failed to load tags: ${tags.reason.message}`);
+    if (authors.status === 'rejected') messages.push(`Failed to load authors: ${authors.reason.message}`);
+    setErrors(messages);
+
+    setLoadingFilterOptions(false);
+  };
+
+  // Reset all filters to their defaults
+  const clearFilters = () => {
+    setFilters(DEFAULT_FILTERS);
+  };
 
   // Fetch WordPress posts
   const fetchWordPressPosts = async () => {
@@ -85,64 +725,28 @@ const WordPressToCanva = () => {
 
     setProcessingStatus(prev => ({ ...prev, fetching: true }));
     setErrors([]);
+    startSession();
 
     try {
-      const cleanDomain = config.domain.replace(/^https?:\/\//, '');
-      const url = `https://${cleanDomain}/wp-json/wp/v2/posts?per_page=${config.batchSize}&_embed&offset=${config.currentOffset}`;
-      
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      
-      if (!Array.isArray(data)) {
-        throw new Error('Invalid response format from WordPress API');
-      }
+      const url = buildPostsUrl(formSite, { offset: config.currentOffset }, config.batchSize);
+
+      const { data } = await fetchPostsPage(url, undefined, formSite);
 
-             // Extract post data
-       const extractedPosts = data.map(post => {
-         // Get the featured image URL and ensure it's absolute
-         let imageUrl = post._embedded?.['wp:featuredmedia']?.[0]?.source_url || null;
-         
-         // If we have a relative URL, make it absolute
-         if (imageUrl && !imageUrl.startsWith('http')) {
-           imageUrl = `https://${cleanDomain}${imageUrl}`;
-         }
-         
-         // Try alternative image sources if the main one is not available
-         if (!imageUrl && post._embedded?.['wp:featuredmedia']?.[0]) {
-           const media = post._embedded['wp:featuredmedia'][0];
-           imageUrl = media.guid?.rendered || media.media_details?.sizes?.full?.source_url || media.source_url || null;
-           
-           // Make sure it's absolute
-           if (imageUrl && !imageUrl.startsWith('http')) {
-             imageUrl = `https://${cleanDomain}${imageUrl}`;
-           }
-         }
-         
-         return {
-           id: post.id,
-           title: post.title.rendered,
-           permalink: post.link,
-           imageUrl: imageUrl,
-           imageStatus: 'pending'
-         };
-       });
-
-      // Filter out already processed posts
-      const newPosts = extractedPosts.filter(post => !processedIds.has(post.id));
+      // Extract post data
+      const extractedPosts = await extractPosts(data, formSite, imageRule);
+
+      // Filter out already processed (and, optionally, already exported) posts
+      const skipKeys = skipKeysForFetch();
+      const newPosts = extractedPosts.filter(post => !skipKeys.has(post.key));
       
       if (newPosts.length === 0) {
-        setErrors(['No new posts found. Try increasing the offset or check if all posts have been processed.']);
+        setErrors(['No new posts found. Try increasing the offset or check if all posts have been processed or exported.']);
         setProcessingStatus(prev => ({ ...prev, fetching: false }));
         return;
       }
 
       setPosts(prev => [...prev, ...newPosts]);
-      setProcessedIds(prev => new Set([...prev, ...newPosts.map(p => p.id)]));
+      setProcessedIds(prev => new Set([...prev, ...newPosts.map(p => p.key)]));
       
     } catch (error) {
       setErrors([`Failed to fetch posts: ${error.message}`]);
@@ -151,184 +755,741 @@ const WordPressToCanva = () => {
     }
   };
 
-     // Test images for Canva compatibility
-   const testImagesForCanva = async () => {
-     setProcessingStatus(prev => ({ ...prev, validating: true }));
-     setErrors([]);
-     
-     const updatedPosts = [...posts];
-     let canvaCompatibleCount = 0;
-     let incompatibleCount = 0;
-     let noImageCount = 0;
-     
-     for (let i = 0; i < updatedPosts.length; i++) {
-       const post = updatedPosts[i];
-       if (post.imageUrl) {
-         const isCanvaCompatible = await testImageForCanva(post.imageUrl);
-         updatedPosts[i] = { ...post, imageStatus: isCanvaCompatible ? 'canva_ok' : 'canva_fail' };
-         if (isCanvaCompatible) canvaCompatibleCount++;
-         else incompatibleCount++;
-       } else {
-         updatedPosts[i] = { ...post, imageStatus: 'no_image' };
-         noImageCount++;
-       }
-     }
-     
-     setPosts(updatedPosts);
-     setProcessingStatus(prev => ({ ...prev, validating: false }));
-     
-     // Show test results
-     const messages = [];
-     if (canvaCompatibleCount > 0) messages.push(`${canvaCompatibleCount} images are Canva-compatible`);
-     if (incompatibleCount > 0) messages.push(`${incompatibleCount} images may not work with Canva (try different image sources)`);
-     if (noImageCount > 0) messages.push(`${noImageCount} posts have no featured images`);
-     
-     if (messages.length > 0) {
-       setErrors(messages);
-     }
-   };
-
-  // Optimize titles with AI
-  const optimizeTitles = async () => {
+  // Fetch every page of each site in turn into the given session slot
+  const fetchAllPages = async (siteList, slot) => {
+    const controller = new AbortController();
+    fetchControllerRef.current = controller;
+
+    setProcessingStatus(prev => ({ ...prev, fetching: true }));
+    setErrors([]);
+
+    const seenKeys = skipKeysForFetch();
+    startSession(slot);
+    const progress = { collected: 0 };
+    const messages = [];
+    // Only prefix messages with the site name when there is more than one
+    const label = (site) => (siteList.length > 1 ? `${site.name}: ` : '');
+
+    setFetchProgress({ site: siteList[0].name, page: 0, totalPages: null, total: null, collected: 0 });
+
+    try {
+      for (const site of siteList) {
+        const collectedBefore = progress.collected;
+        try {
+          const { failedPages, totalPages } = await fetchSitePages(site, {
+            signal: controller.signal,
+            seenKeys,
+            perPage: config.batchSize,
+            imageRule,
+            // Add each page to the table as it arrives
+            onPage: (newPosts, { page, totalPages: pages, total }) => {
+              progress.collected += newPosts.length;
+              if (newPosts.length > 0) {
+                setPosts(prev => [...prev, ...newPosts]);
+                setProcessedIds(prev => new Set([...prev, ...newPosts.map(p => p.key)]));
+              }
+              setFetchProgress(prev => ({
+                site: site.name,
+                page,
+                totalPages: pages,
+                total: total ?? prev?.total ?? null,
+                collected: progress.collected
+              }));
+            }
+          });
+          if (failedPages.length > 0) {
+            messages.push(`${label(site)}${failedPages.length} of ${totalPages} pages failed to load (${progress.collected - collectedBefore} posts were still collected):`);
+            messages.push(...failedPages);
+          }
+        } catch (error) {
+          if (error.name === 'AbortError') throw error;
+          // One unreachable site shouldn't stop the others
+          messages.push(`${label(site)}Failed to fetch posts: ${error.message}`);
+        }
+      }
+
+      if (progress.collected === 0 && messages.length === 0) {
+        messages.push(siteList.length > 1
+          ? 'No new posts found. All posts on these sites have already been processed or exported.'
+          : 'No new posts found. All posts on this site have already been processed or exported.');
+      }
+      setErrors(messages);
+
+    } catch (error) {
+      setErrors([...messages, `Fetch cancelled. ${progress.collected} posts were kept.`]);
+    } finally {
+      fetchControllerRef.current = null;
+      setFetchProgress(null);
+      setProcessingStatus(prev => ({ ...prev, fetching: false }));
+    }
+  };
+
+  // Fetch every page of the site in the form
+  const fetchAllWordPressPosts = async () => {
+    if (!validateDomain(config.domain)) {
+      setErrors(['Please enter a valid domain']);
+      return;
+    }
+    await fetchAllPages([formSite], currentDomain);
+  };
+
+  // Fetch every page of every registered site into one shared session
+  const fetchAllSites = async () => {
+    if (sites.length === 0) return;
+    await fetchAllPages(sites, ALL_SITES_SESSION);
+
+    // Application Passwords aren't saved, so after a reload only public posts can be fetched
+    const missingPasswords = sites.filter(site => site.username?.trim() && !site.appPassword?.trim());
+    if (missingPasswords.length > 0) {
+      setErrors(prev => [...prev, `Fetched public posts only for ${missingPasswords.map(site => site.name).join(', ')}: re-enter the Application Password (Edit, then Save as Site) to include drafts.`]);
+    }
+  };
+
+  // Read a CSV (e.g. an earlier export) and open the column mapping step
+  const importCsvFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const result = Papa.parse(await file.text(), {
+      header: true,
+      skipEmptyLines: 'greedy',
+      transformHeader: header => header.trim()
+    });
+    const fields = (result.meta.fields || []).filter(Boolean);
+    if (fields.length === 0 || result.data.length === 0) {
+      setErrors([`Failed to import ${file.name}: no header row or no data rows found`]);
+      return;
+    }
+
+    setCsvImport({ filename: file.name, fields, rows: result.data, mapping: guessImportMapping(fields) });
+    setErrors(result.errors.slice(0, 5).map(error => `${file.name} row ${error.row + 2}: ${error.message}`));
+  };
+
+  const updateImportMapping = (field, column) => {
+    setCsvImport(prev => ({ ...prev, mapping: { ...prev.mapping, [field]: column } }));
+  };
+
+  // Settings used to look up an imported URL: a registered site, the form's site, or a public default
+  const siteForHost = (host) => sites.find(site => hostKey(site.domain.split('/')[0]) === hostKey(host))
+    || (currentDomain && hostKey(currentDomain.split('/')[0]) === hostKey(host) ? formSite : null)
+    || {
+      name: host,
+      domain: host,
+      contentType: DEFAULT_CONTENT_TYPE,
+      username: '',
+      appPassword: '',
+      filters,
+      imageFallback: DEFAULT_IMAGE_FALLBACK,
+      textRules: DEFAULT_TEXT_RULES,
+      urlRewrite: DEFAULT_URL_REWRITE
+    };
+
+  // Look up the WordPress posts behind imported URLs by slug; resolves a Map of URL key -> extracted row
+  const matchImportedUrls = async (urls) => {
+    const matches = new Map();
+    const failures = [];
+    const byHost = new Map();
+    urls.forEach(url => {
+      const host = new URL(url).hostname;
+      byHost.set(host, [...(byHost.get(host) || []), url]);
+    });
+
+    for (const [host, hostUrls] of byHost) {
+      const site = siteForHost(host);
+      const { restNamespace, restBase } = site.contentType;
+      const slugs = [...new Set(hostUrls.map(slugFromUrl).filter(Boolean))];
+
+      for (let start = 0; start < slugs.length; start += IMPORT_SLUG_BATCH) {
+        const params = new URLSearchParams({ slug: slugs.slice(start, start + IMPORT_SLUG_BATCH).join(','), per_page: 100 });
+        try {
+          const { data } = await fetchPostsPage(`https://${site.domain}/wp-json/${restNamespace}/${restBase}?_embed&${params.toString()}`, undefined, site);
+          // The slug alone can be shared by posts under different parents, so the full permalink must match
+          (await extractPosts(data, site, imageRule)).forEach(post => {
+            const key = postUrlKey(post.permalink || '');
+            if (key) matches.set(key, post);
+          });
+        } catch (error) {
+          failures.push(`${host}: could not look up posts (${error.message})`);
+          break;
+        }
+      }
+    }
+
+    return { matches, failures };
+  };
+
+  // Turn the mapped CSV rows into table rows, linking URLs that match a live post to its WordPress post ID
+  const applyCsvImport = async () => {
+    const { filename, rows, mapping } = csvImport;
+    const valueOf = (row, field) => (mapping[field] ? String(row[mapping[field]] ?? '').trim() : '');
+
+    // Exported title variants share a URL, so rows with the same URL become one post
+    const groups = new Map();
+    rows.forEach((row, index) => {
+      const url = valueOf(row, 'url');
+      const urlKey = postUrlKey(url);
+      const groupKey = urlKey || `row-${index}`;
+      if (!groups.has(groupKey)) groups.set(groupKey, { url: urlKey ? url : '', urlKey, rows: [] });
+      groups.get(groupKey).rows.push(row);
+    });
+
+    setProcessingStatus(prev => ({ ...prev, fetching: true }));
+    setErrors([]);
+
+    const { matches, failures } = await matchImportedUrls([...groups.values()].filter(group => group.url).map(group => group.url));
+    const importId = Date.now().toString(36);
+
+    const imported = [...groups.values()].map((group, index) => {
+      const first = group.rows[0];
+      const host = group.url ? new URL(group.url).hostname : '';
+      const site = host ? siteForHost(host) : null;
+      const originalTitle = valueOf(first, 'originalTitle');
+      const titles = [...new Set(group.rows.map(row => valueOf(row, 'title')).filter(Boolean))];
+
+      let post = matches.get(group.urlKey) || {
+        id: null,
+        key: group.urlKey ? `csv:${group.urlKey}` : `csv:${importId}-${index}`,
+        site: site?.name || host || filename,
+        domain: site?.domain || host,
+        postType: '',
+        status: '',
+        rawTitle: originalTitle || titles[0] || '',
+        title: normalizeTitle(originalTitle || titles[0] || '', site?.textRules || textRules),
+        permalink: group.url,
+        featuredImageUrl: null,
+        imageUrl: null,
+        imageSource: null,
+        imageStatus: 'pending',
+        excerpt: '',
+        content: '',
+        date: '',
+        author: '',
+        categories: [],
+        tags: [],
+        imageSizes: {},
+        seo: { title: '', description: '' },
+        acf: {}
+      };
+
+      // CSV titles that differ from the post's own title come back as optimized titles / variants
+      if (titles.length > 1 || (titles[0] && titles[0] !== post.title)) {
+        post = {
+          ...post,
+          optimizedTitle: titles[0],
+          variants: titles.length > 1 ? titles.map(text => ({ text, angle: '', keep: true })) : undefined,
+          edited: false
+        };
+      }
+
+      // Keep the exported image: as a size override when it's one of the post's sizes, otherwise as-is
+      const image = valueOf(first, 'image');
+      if (image && image !== post.imageUrl) {
+        const sizeName = Object.keys(post.imageSizes).find(name => post.imageSizes[name].url === image);
+        post = applyImageRule(sizeName
+          ? { ...post, imageOverride: sizeName }
+          : { ...post, featuredImageUrl: image, imageSizes: {}, imageSource: 'csv_import' }, imageRule);
+      }
+
+      const description = valueOf(first, 'description');
+      const altText = valueOf(first, 'altText');
+      const keywords = valueOf(first, 'keywords').split(',').map(keyword => keyword.trim()).filter(Boolean);
+      return {
+        ...post,
+        ...(description && { description }),
+        ...(altText && { altText }),
+        ...(keywords.length > 0 && { keywords })
+      };
+    });
+
+    const existingKeys = new Set(posts.map(post => post.key));
+    const added = imported.filter(post => !existingKeys.has(post.key));
+    const matchedCount = imported.filter(post => post.id !== null).length;
+
+    if (added.length > 0 && sessionSlot) startSession(sessionSlot);
+    setPosts(prev => [...prev, ...added]);
+    setProcessedIds(prev => new Set([...prev, ...added.map(post => post.key)]));
+    setCsvImport(null);
+    setProcessingStatus(prev => ({ ...prev, fetching: false }));
+    setErrors([
+      `Imported ${added.length} posts from ${rows.length} rows of ${filename}; ${matchedCount} matched a WordPress post.`
+        + (imported.length > added.length ? ` ${imported.length - added.length} were already in the table.` : ''),
+      ...failures
+    ]);
+  };
+
+  // Save the form (domain, content type, credentials, filters, image fallbacks) as a registered site.
+  // A site with the same name is updated.
+  const saveSite = () => {
+    if (!validateDomain(config.domain)) {
+      setErrors(['Please enter a valid domain']);
+      return;
+    }
+    const site = { ...formSite, id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}` };
+    setSites(prev => (prev.some(item => item.name === site.name)
+      ? prev.map(item => (item.name === site.name ? { ...site, id: item.id } : item))
+      : [...prev, site]));
+  };
+
+  // Load a registered site back into the form for editing or a single-site fetch
+  const editSite = (site) => {
+    setConfig(prev => ({
+      ...prev,
+      domain: site.domain,
+      siteName: site.name,
+      contentType: site.contentType.slug,
+      username: site.username || '',
+      appPassword: site.appPassword || '',
+      currentOffset: 0
+    }));
+    setContentTypes(prev => (prev.some(type => type.slug === site.contentType.slug) ? prev : [...prev, site.contentType]));
+    if (site.filters) setFilters(site.filters);
+    if (site.imageFallback) setImageFallback({ ...DEFAULT_IMAGE_FALLBACK, ...site.imageFallback });
+    setTextRules({ ...DEFAULT_TEXT_RULES, ...site.textRules });
+    setUrlRewrite({ ...DEFAULT_URL_REWRITE, ...site.urlRewrite });
+  };
+
+  const removeSite = (id) => {
+    setSites(prev => prev.filter(site => site.id !== id));
+  };
+
+  // Cancel a running "Fetch All" request
+  const cancelFetch = () => {
+    if (fetchControllerRef.current) {
+      fetchControllerRef.current.abort();
+    }
+  };
+
+  // Test every image in parallel (up to the concurrency limit), recording why failures failed
+  const testImagesForCanva = async () => {
+    const withImages = posts.filter(post => post.imageUrl);
+    let compatibleCount = 0;
+    let incompatibleCount = 0;
+    let done = 0;
+
+    setErrors([]);
+    setPosts(prev => prev.map(post => (post.imageUrl ? post : { ...post, imageStatus: 'no_image', imageError: null })));
+    setProcessingStatus(prev => ({ ...prev, validating: true, imageTestProgress: { done: 0, total: withImages.length } }));
+
+    await testPostImages(withImages, imageTestSettings, (post, result) => {
+      if (result.ok) compatibleCount++;
+      else incompatibleCount++;
+      done++;
+
+      // Skip the update if the row has switched to a different image meanwhile
+      setPosts(prev => prev.map(item => (item.key === post.key && item.imageUrl === post.imageUrl
+        ? { ...item, imageStatus: result.ok ? 'canva_ok' : 'canva_fail', imageError: result.reason }
+        : item)));
+      setProcessingStatus(prev => ({ ...prev, imageTestProgress: { done, total: withImages.length } }));
+    });
+
+    setProcessingStatus(prev => ({ ...prev, validating: false, imageTestProgress: null }));
+
+    // Show test results
+    const noImageCount = posts.length - withImages.length;
+    const messages = [];
+    if (compatibleCount > 0) messages.push(`${compatibleCount} images are Canva-compatible`);
+    if (incompatibleCount > 0) messages.push(`${incompatibleCount} images may not work with Canva; see the reasons in the Canva Status column`);
+    if (noImageCount > 0) messages.push(`${noImageCount} posts have no featured images`);
+
+    if (messages.length > 0) {
+      setErrors(messages);
+    }
+  };
+
+  // Cleanup rules for a row: the form's for its domain, otherwise the registered site's
+  const textRulesFor = (post) => (post.domain === currentDomain
+    ? textRules
+    : sites.find(site => site.domain === post.domain)?.textRules);
+
+  // Re-run the cleanup rules on the rows fetched from the site in the form
+  const applyTextRulesToRows = () => {
+    setPosts(prev => prev.map(post => (post.domain === currentDomain ? normalizePostTitles(post, textRules) : post)));
+  };
+
+  // Add, change or remove a find/replace rule
+  const addReplacement = () => {
+    setTextRules(prev => ({ ...prev, replacements: [...prev.replacements, { find: '', replace: '', regex: false }] }));
+  };
+
+  const updateReplacement = (index, changes) => {
+    setTextRules(prev => ({
+      ...prev,
+      replacements: prev.replacements.map((rule, ruleIndex) => (ruleIndex === index ? { ...rule, ...changes } : rule))
+    }));
+  };
+
+  const removeReplacement = (index) => {
+    setTextRules(prev => ({ ...prev, replacements: prev.replacements.filter((_, ruleIndex) => ruleIndex !== index) }));
+  };
+
+  // Model client for the chosen provider, plus the options every optimize run shares
+  const activeProvider = AI_PROVIDERS.find(provider => provider.id === providerSettings.provider);
+  const apiClient = createModelClient(API_BASE_URL, {
+    ...aiSettings,
+    provider: providerSettings.provider,
+    ...providerSettings[providerSettings.provider]
+  });
+  const optimizeOptions = {
+    batchSize: aiSettings.batchSize,
+    variantsPerPost: aiSettings.variantsPerPost,
+    detailFields: aiSettings.detailFields,
+    rulesFor: textRulesFor
+  };
+
+  // Price of the chosen model (null when unknown) and the estimate for the next run
+  const modelPrice = priceFor(providerSettings.provider, aiSettings.model, usageSettings);
+  const postsToOptimize = posts.filter(post => post.imageUrl && !post.edited);
+  const runEstimate = estimateRunUsage(postsToOptimize, aiSettings);
+  const estimatedCost = usageCost(runEstimate, modelPrice);
+
+  // Keep a cost summary of a finished (or paused) run next to the export history
+  const recordOptimizeRun = (usage, details) => {
+    setOptimizeRuns(prev => [{
+      id: `${Date.now().toString(36)}-${prev.length}`,
+      finishedAt: new Date().toISOString(),
+      provider: providerSettings.provider,
+      model: providerSettings.provider === 'rules' ? '' : aiSettings.model,
+      ...usage,
+      cost: usageCost(usage, modelPrice),
+      ...details
+    }, ...prev]);
+  };
+
+  // Merge per-post changes into the current posts; options: { keepEdited }
+  const applyPostChanges = (changes, options) => {
+    setPosts(prev => mergePostChanges(prev, changes, options));
+  };
+
+  // Optimize titles with AI; resumeKeys limits the run to the posts a paused run left unsent
+  const optimizeTitles = async (resumeKeys = null) => {
     setProcessingStatus(prev => ({ ...prev, optimizing: true }));
     
-    // Use all posts that have any image URL (regardless of validation status)
-    const postsWithImages = posts.filter(post => post.imageUrl);
+    // Use all posts that have any image URL (regardless of validation status).
+    // Hand-edited rows are never overwritten by a bulk run.
+    const postsWithImages = postsToOptimize.filter(post => !resumeKeys || resumeKeys.includes(post.key));
+    const skippedEdited = resumeKeys ? 0 : posts.filter(post => post.imageUrl && post.edited).length;
     
     if (postsWithImages.length === 0) {
-      setErrors(['No posts with images to optimize. Please fetch posts with featured images first.']);
+      setErrors([skippedEdited > 0
+        ? `All ${skippedEdited} posts with images have been edited by hand. Use "Re-optimize" on a row to replace its title.`
+        : 'No posts with images to optimize. Please fetch posts with featured images first.']);
       setProcessingStatus(prev => ({ ...prev, optimizing: false }));
       return;
     }
 
-    // Process in batches of 5
-    const batchSize = 5;
-    const updatedPosts = [...posts];
-    
-    for (let i = 0; i < postsWithImages.length; i += batchSize) {
-      const batch = postsWithImages.slice(i, i + batchSize);
-      const titles = batch.map(post => post.title);
-      
-      try {
-        const optimizedTitles = await callClaudeAPI(titles);
-        
-        // Update posts with optimized titles
-        batch.forEach((post, index) => {
-          const postIndex = updatedPosts.findIndex(p => p.id === post.id);
-          if (postIndex !== -1 && optimizedTitles[index]) {
-            updatedPosts[postIndex] = {
-              ...updatedPosts[postIndex],
-              optimizedTitle: optimizedTitles[index]
-            };
-          }
-        });
-        
-        setPosts(updatedPosts);
-        
-      } catch (error) {
-        console.error(`Failed to optimize batch ${i / batchSize + 1}:`, error);
-        // Continue with next batch even if this one fails
+    setErrors([]);
+    setPausedKeys([]);
+    const budget = Number(usageSettings.budget) || 0;
+    // A resume carries on the paused run; anything else starts a new one
+    const spent = resumeKeys ? runUsageRef.current : EMPTY_USAGE;
+
+    // Process in batches (5 by default, configurable in the prompt settings).
+    // With a budget, the run pauses before the batch that would take the whole run over it.
+    const { failedPosts, failedBatches, usage, requests, remaining } = await optimizePosts(
+      postsWithImages,
+      apiClient,
+      {
+        ...optimizeOptions,
+        budget,
+        price: modelPrice,
+        spent,
+        estimateUsage: (batch) => estimateBatchUsage(batch, aiSettings)
+      },
+      (changes, progress) => {
+        // Rows edited by hand while their batch was in flight keep the edit
+        applyPostChanges(changes, { keepEdited: true });
+        setProcessingStatus(prev => ({ ...prev, optimizeProgress: progress }));
       }
+    );
+    runUsageRef.current = addUsage(spent, usage);
+
+    recordOptimizeRun(usage, {
+      posts: postsWithImages.length - remaining.length,
+      requests,
+      estimatedCost: usageCost(estimateRunUsage(postsWithImages, aiSettings), modelPrice),
+      budget,
+      status: remaining.length > 0 ? 'paused' : 'completed'
+    });
+
+    const messages = [];
+    if (remaining.length > 0) {
+      setPausedKeys(remaining.map(post => post.key));
+      messages.push(`Paused before going over the ${formatCost(budget)} budget after spending ${formatCost(usageCost(runUsageRef.current, modelPrice))}. `
+        + `${remaining.length} posts were not sent; raise the budget and use "Resume" to continue.`);
     }
+    if (skippedEdited > 0) {
+      messages.push(`Skipped ${skippedEdited} hand-edited posts. Use "Re-optimize" on a row to replace its title.`);
+    }
+    if (failedBatches.length > 0) {
+      messages.push(
+        `${failedPosts} of ${postsWithImages.length} posts failed to optimize. Use "Retry" on the failed rows in the results table.`,
+        ...failedBatches
+      );
+    }
+    setErrors(messages);
     
-    setProcessingStatus(prev => ({ ...prev, optimizing: false }));
+    setProcessingStatus(prev => ({ ...prev, optimizing: false, optimizeProgress: null }));
+  };
+
+  // Re-run optimization for a single post (also replaces hand edits).
+  // The retry counts toward the current run's budget.
+  const retryOptimizePost = async (post) => {
+    const budget = Number(usageSettings.budget) || 0;
+    setRetryingIds(prev => new Set([...prev, post.key]));
+    const { usage, requests, remaining } = await optimizePosts(
+      [post],
+      apiClient,
+      {
+        ...optimizeOptions,
+        budget,
+        price: modelPrice,
+        spent: runUsageRef.current,
+        estimateUsage: (batch) => estimateBatchUsage(batch, aiSettings)
+      },
+      (changes) => applyPostChanges(changes)
+    );
+    runUsageRef.current = addUsage(runUsageRef.current, usage);
+    if (remaining.length > 0) {
+      setErrors([`Not retried: "${post.title}" would take the run over the ${formatCost(budget)} budget `
+        + `(${formatCost(usageCost(runUsageRef.current, modelPrice))} spent so far). Raise the budget to retry it.`]);
+    }
+    if (usage.inputTokens + usage.outputTokens > 0) {
+      recordOptimizeRun(usage, { posts: 1, requests, status: 'retry' });
+    }
+    setRetryingIds(prev => {
+      const next = new Set(prev);
+      next.delete(post.key);
+      return next;
+    });
   };
 
-  // Call Claude API for title optimization
-  const callClaudeAPI = async (titles) => {
-    const prompt = `Rewrite these blog post titles for Pinterest to maximize engagement and clicks. Pinterest users respond to emotional hooks, benefit-driven language, curiosity gaps, and actionable promises. 
+  // Edit generated fields (description, alt text, keywords) on a single post
+  const updatePost = (rowKey, changes) => {
+    setPosts(prev => prev.map(post => post.key === rowKey ? { ...post, ...changes } : post));
+  };
+
+  // Switch AI provider; a model the new provider doesn't list is swapped for its default
+  const selectProvider = (id) => {
+    const provider = AI_PROVIDERS.find(candidate => candidate.id === id);
+    setProviderSettings(prev => ({ ...prev, provider: id }));
+    if (provider.models.length > 0 && !provider.models.includes(aiSettings.model)) {
+      setAiSettings(prev => ({ ...prev, model: provider.models[0] }));
+    }
+  };
 
-Transform each title to be more Pinterest-friendly while staying truthful to the content:
+  // Change the endpoint or API key of the active provider
+  const updateProviderAuth = (changes) => {
+    setProviderSettings(prev => ({ ...prev, [prev.provider]: { ...prev[prev.provider], ...changes } }));
+  };
 
-Original titles:
-${titles.map((title, index) => `${index + 1}. ${title}`).join('\n')}
+  // Apply a built-in or saved preset to the prompt settings
+  const applyPreset = (name) => {
+    const preset = [...BUILT_IN_PRESETS, ...savedPresets].find(p => p.name === name);
+    if (!preset) return;
+    const settings = {};
+    PRESET_FIELDS.forEach(field => { settings[field] = preset[field]; });
+    setAiSettings(prev => ({ ...prev, ...settings }));
+    setActivePreset(name);
+  };
+
+  // Save the current prompt settings as a named preset (overwrites a saved preset with the same name)
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    if (BUILT_IN_PRESETS.some(preset => preset.name === name)) {
+      setErrors([`"${name}" is a built-in preset. Choose a different name.`]);
+      return;
+    }
+    const preset = sanitizePreset({ ...aiSettings, name });
+    setSavedPresets(prev => [...prev.filter(p => p.name !== name), preset]);
+    setActivePreset(name);
+    setPresetName('');
+  };
+
+  // Delete the active saved preset
+  const deletePreset = () => {
+    setSavedPresets(prev => prev.filter(preset => preset.name !== activePreset));
+    setActivePreset('Default');
+  };
 
-Respond with ONLY a JSON array in this exact format:
-[
-  "optimized title 1",
-  "optimized title 2"
-]
+  // Download saved presets as JSON so teammates can import them
+  const exportPresets = () => {
+    const data = { type: 'wordpress-to-canva-prompt-presets', version: 1, presets: savedPresets };
+    downloadFile(JSON.stringify(data, null, 2), 'prompt_presets.json', 'application/json');
+  };
 
-DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`;
+  // Import presets from a JSON file, replacing saved presets that share a name
+  const importPresets = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
 
     try {
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': process.env.REACT_APP_CLAUDE_API_KEY || 'your-api-key-here',
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 1000,
-          messages: [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ]
-        })
-      });
+      const data = JSON.parse(await file.text());
+      const list = Array.isArray(data) ? data : data.presets;
+      if (!Array.isArray(list)) {
+        throw new Error('Expected a list of presets');
+      }
+
+      const imported = list
+        .filter(preset => preset && typeof preset.name === 'string' && preset.name.trim())
+        .filter(preset => !BUILT_IN_PRESETS.some(builtIn => builtIn.name === preset.name.trim()))
+        .map(sanitizePreset);
 
-      if (!response.ok) {
-        throw new Error(`API call failed: ${response.status}`);
+      if (imported.length === 0) {
+        throw new Error('No valid presets found');
       }
 
-      const data = await response.json();
-      const content = data.content[0].text;
-      
-      // Extract JSON from response
-      const jsonMatch = content.match(/\[.*\]/s);
-      if (!jsonMatch) {
-        throw new Error('Invalid response format from AI');
+      setSavedPresets(prev => [
+        ...prev.filter(preset => !imported.some(p => p.name === preset.name)),
+        ...imported
+      ]);
+      setErrors([`Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}: ${imported.map(p => p.name).join(', ')}`]);
+    } catch (error) {
+      setErrors([`Failed to import presets: ${error.message}`]);
+    }
+  };
+
+  // Keep or drop a single title variant; the first kept variant becomes the post's title
+  const toggleVariant = (rowKey, variantIndex) => {
+    setPosts(prev => prev.map(post => {
+      if (post.key !== rowKey || !post.variants) return post;
+      const variants = post.variants.map((variant, index) => (
+        index === variantIndex ? { ...variant, keep: !variant.keep } : variant
+      ));
+      const firstKept = variants.find(variant => variant.keep);
+      return { ...post, variants, optimizedTitle: firstKept ? firstKept.text : post.optimizedTitle };
+    }));
+  };
+
+  // Edit the optimized title by hand; edited rows are skipped by later optimization runs
+  const editTitle = (rowKey, text) => {
+    updatePost(rowKey, { optimizedTitle: text, edited: true });
+  };
+
+  // Edit one title variant by hand
+  const editVariant = (rowKey, variantIndex, text) => {
+    setPosts(prev => prev.map(post => {
+      if (post.key !== rowKey || !post.variants) return post;
+      const variants = post.variants.map((variant, index) => (
+        index === variantIndex ? { ...variant, text } : variant
+      ));
+      const firstKept = variants.find(variant => variant.keep);
+      return { ...post, variants, optimizedTitle: firstKept ? firstKept.text : post.optimizedTitle, edited: true };
+    }));
+  };
+
+  // Rows whose image failed its test or is missing
+  const isFailingImage = (post) => post.imageStatus === 'canva_fail' || post.imageStatus === 'no_image' || !post.imageUrl;
+
+  // Change the image rule and re-pick every row's image
+  const updateImageRule = (changes) => {
+    const nextRule = { ...imageRule, ...changes };
+    setImageRule(nextRule);
+    setPosts(prev => prev.map(post => applyImageRule(post, nextRule)));
+  };
+
+  // Override the image size for one row ('' goes back to the rule)
+  const setImageOverride = (rowKey, sizeName) => {
+    setPosts(prev => prev.map(post => (
+      post.key === rowKey ? applyImageRule({ ...post, imageOverride: sizeName || null }, imageRule) : post
+    )));
+  };
+
+  // Drop the AI title(s) and go back to the original; counts as an edit so it sticks
+  const revertToOriginal = (rowKey) => {
+    updatePost(rowKey, { optimizedTitle: undefined, variants: undefined, optimizeError: null, edited: true });
+  };
+
+  // Toggle a row between approved/rejected and back to pending review
+  const setReview = (rowKey, review) => {
+    setPosts(prev => prev.map(post => (
+      post.key === rowKey ? { ...post, review: post.review === review ? 'pending' : review } : post
+    )));
+  };
+
+  // Assign publish dates to every export row from the schedule rules
+  const schedulePins = () => {
+    try {
+      if (exportRows.length === 0) {
+        throw new Error('No rows to schedule');
       }
-      
-      return JSON.parse(jsonMatch[0]);
-      
+      setSchedule(buildSchedule(exportRows, scheduleRules));
+      setErrors([]);
     } catch (error) {
-      console.error('Claude API error:', error);
-      throw error;
+      setErrors([`Failed to schedule pins: ${error.message}`]);
     }
   };
 
+  // Move one pin to another day, keeping its time of day
+  const movePin = (pinId, day) => {
+    if (!schedule[pinId]) return;
+    const { minutes } = zonedDayAndTime(schedule[pinId], scheduleRules.timeZone);
+    setSchedule(prev => ({ ...prev, [pinId]: zonedTimeToUtc(day, minutes, scheduleRules.timeZone) }));
+  };
+
   // Generate and download CSV
-  const generateCSV = () => {
+  const generateCSV = async () => {
     setProcessingStatus(prev => ({ ...prev, generating: true }));
     
     try {
-      // Include all posts, use optimized title if available, otherwise use original title
-      const csvData = posts.map(post => {
-        const row = {};
-                 csvColumns.forEach(column => {
-           switch (column) {
-             case 'Title':
-               // Use optimized title if available, otherwise use original title
-               row[column] = post.optimizedTitle || post.title || '';
-               break;
-             case 'Image':
-               row[column] = post.imageUrl || '';
-               break;
-             case 'URL':
-               row[column] = post.permalink || '';
-               break;
-             default:
-               row[column] = '';
-           }
-         });
-        return row;
+      // Each column resolves its own data source; arrays keep duplicate headers intact
+      const exportPosts = selectExportPosts(posts, exportOptions.approvedOnly);
+      if (exportPosts.length === 0) {
+        throw new Error(exportOptions.approvedOnly ? 'No approved rows to export' : 'All rows have been rejected');
+      }
+
+      // Same rows as the preview, with their scheduled publish dates
+      const rows = exportRows;
+      const date = new Date().toISOString().split('T')[0];
+
+      // One CSV per group
+      const files = buildExportFiles(rows, exportColumns, {
+        splitMode: exportOptions.splitMode,
+        chunkSize: exportOptions.chunkSize,
+        filenamePattern: exportOptions.filenamePattern,
+        filePrefix: exportProfile.filePrefix,
+        date
       });
 
-      const csv = Papa.unparse(csvData);
-      const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-      const link = document.createElement('a');
-      const url = URL.createObjectURL(blob);
-      link.setAttribute('href', url);
-      link.setAttribute('download', `canva_bulk_create_${new Date().toISOString().split('T')[0]}.csv`);
-      link.style.visibility = 'hidden';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+      if (files.length === 1) {
+        downloadFile(files[0].csv, files[0].filename, 'text/csv;charset=utf-8;');
+      } else {
+        // Several files go out as one ZIP with a manifest of what went where
+        const blob = await buildExportZip(files, {
+          profile: exportProfile.id,
+          splitMode: exportOptions.splitMode,
+          chunkSize: exportOptions.splitMode === 'chunk' ? exportOptions.chunkSize : undefined,
+          filenamePattern: exportOptions.filenamePattern,
+          approvedOnly: exportOptions.approvedOnly,
+          columns: exportColumns.map(column => column.header),
+          pinterest: exportProfile.id === 'pinterest' ? pinterestSettings : undefined,
+          utm: linkSettings.utmEnabled ? linkSettings : undefined,
+          schedule: rows.some(row => row.publishAt) ? scheduleRules : undefined
+        });
+        downloadFile(blob, `${exportProfile.filePrefix}_${date}.zip`, 'application/zip');
+      }
+      files.forEach(file => recordExport(file.filename, file.rows));
+
+      const warnings = [];
+
+      // Drafts, scheduled and private posts link to URLs visitors can't open yet
+      const notPublic = exportPosts.filter(post => post.status && post.status !== 'publish');
+      if (notPublic.length > 0) {
+        warnings.push(
+          `Warning: ${notPublic.length} exported rows link to posts that are not public yet. Their URLs won't work for visitors until the posts are published:`,
+          ...notPublic.map(post => `${post.title} (${post.status})`)
+        );
+      }
+
+      if (exportProfile.id === 'pinterest') {
+        warnings.push(...pinterestExportWarnings(rows, files, pinterestSettings));
+      }
+
+      if (warnings.length > 0) {
+        setErrors(warnings);
+      }
       
     } catch (error) {
       setErrors([`Failed to generate CSV: ${error.message}`]);
@@ -339,25 +1500,93 @@ DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`;
 
   // Add new column
   const addColumn = () => {
-    const newColumn = `Column_${csvColumns.length + 1}`;
-    setCsvColumns(prev => [...prev, newColumn]);
+    const id = nextColumnIdRef.current++;
+    setCsvColumns(prev => [
+      ...prev,
+      { id, name: `Column ${prev.length + 1}`, header: `Column_${prev.length + 1}`, source: 'static', param: '' }
+    ]);
   };
 
   // Remove column
-  const removeColumn = (index) => {
-    setCsvColumns(prev => prev.filter((_, i) => i !== index));
+  const removeColumn = (id) => {
+    setCsvColumns(prev => prev.filter(column => column.id !== id));
   };
 
-  // Update column header
-  const updateColumnHeader = (index, newHeader) => {
-    setCsvColumns(prev => prev.map((col, i) => i === index ? newHeader : col));
+  // Update a column's name, header, source or source parameter
+  const updateColumn = (id, changes) => {
+    setCsvColumns(prev => prev.map(column => column.id === id ? { ...column, ...changes } : column));
   };
 
+  // Show the editable pin details column once any post has generated details
+  const showPinDetails = aiSettings.detailFields.length > 0 ||
+    posts.some(post => post.description !== undefined || post.altText !== undefined || post.keywords !== undefined);
+
+  // Sites the current rows came from; the Site column and filter only show with more than one
+  const postSites = [...new Set(posts.map(post => post.site).filter(Boolean))];
+
+  // Ignore a site filter left over from rows that have since been cleared
+  const activeSiteFilter = postSites.length > 1 && postSites.includes(siteFilter) ? siteFilter : '';
+
+  // Rows shown in the results table after the site and failing-image filters
+  const visiblePosts = posts.filter(post => (!activeSiteFilter || post.site === activeSiteFilter) &&
+    (!showFailingImagesOnly || isFailingImage(post)));
+
+  // Rows as they will be exported (one per kept variant)
+  const exportRows = expandVariantRows(selectExportPosts(posts, exportOptions.approvedOnly))
+    .map(row => {
+      const rewrite = row.domain === currentDomain ? urlRewrite : sites.find(site => site.domain === row.domain)?.urlRewrite;
+      return {
+        ...row,
+        publishAt: schedule[scheduleRowId(row)] || null,
+        trackingUrl: buildTrackingUrl(row, rewrite, linkSettings)
+      };
+    });
+
+  // Columns written by the selected export profile, as { key, header, value(row) }
+  const exportProfile = EXPORT_PROFILES.find(profile => profile.id === exportOptions.profile) || EXPORT_PROFILES[0];
+  const exportColumns = exportColumnsFor(exportProfile.id, csvColumns, pinterestSettings);
+
+  // Scheduled pins grouped by day (in the schedule's time zone) for the calendar, from the
+  // first to the last scheduled day plus one spare day to drag pins onto
+  const scheduledPins = exportRows
+    .filter(row => row.publishAt)
+    .map(row => ({ id: scheduleRowId(row), row, ...zonedDayAndTime(row.publishAt, scheduleRules.timeZone) }))
+    .sort((a, b) => a.row.publishAt.localeCompare(b.row.publishAt));
+  const calendarDays = scheduledPins.length === 0 ? [] : Array.from(
+    { length: daysBetween(scheduledPins[0].day, scheduledPins[scheduledPins.length - 1].day) + 2 },
+    (_, index) => addDays(scheduledPins[0].day, index)
+  );
+
+  // Pins of the same URL closer together than the minimum spacing (e.g. after dragging)
+  const spacingConflicts = new Set();
+  scheduledPins.forEach((pin, index) => {
+    scheduledPins.slice(index + 1).forEach(other => {
+      if (other.row.permalink === pin.row.permalink && daysBetween(pin.day, other.day) < scheduleRules.minDaysSameUrl) {
+        spacingConflicts.add(pin.id);
+        spacingConflicts.add(other.id);
+      }
+    });
+  });
+
+  // Number of files the split settings produce for the current rows
+  const exportFileCount = exportRows.length === 0 ? 0 : splitExportRows(exportRows, exportOptions.splitMode, exportOptions.chunkSize).length;
+
+  // Categories on the current rows, offered in the Pinterest board mapping
+  const postCategories = [...new Set(posts.flatMap(post => post.categories || []))].sort();
+
+  // Image sizes offered in the column mapping: the defaults plus any seen on fetched posts
+  const availableImageSizes = Array.from(new Set([
+    ...DEFAULT_IMAGE_SIZES,
+    ...posts.flatMap(post => Object.keys(post.imageSizes || {}))
+  ]));
+
   // Clear all data
   const clearData = () => {
     setPosts([]);
     setProcessedIds(new Set());
     setErrors([]);
+    setPausedKeys([]);
+    runUsageRef.current = EMPTY_USAGE;
     setConfig(prev => ({ ...prev, currentOffset: 0 }));
   };
 
@@ -368,6 +1597,18 @@ DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`;
       {/* WordPress API Configuration */}
       <section style={styles.section}>
         <h2 style={styles.sectionTitle}>WordPress API Configuration</h2>
+        {savedSession && (
+          <div style={styles.sessionBanner}>
+            <span>
+              Saved session for <strong>{savedSession.domain === ALL_SITES_SESSION ? 'all registered sites' : savedSession.domain}</strong> from {new Date(savedSession.savedAt).toLocaleString()}:
+              {' '}{savedSession.posts.length} posts. Fetching without resuming replaces it.
+            </span>
+            <div>
+              <button onClick={resumeSession} style={styles.button}>Resume Session</button>
+              <button onClick={discardSession} style={styles.buttonSecondary}>Start Fresh</button>
+            </div>
+          </div>
+        )}
         <div style={styles.configGrid}>
           <div style={styles.inputGroup}>
             <label style={styles.label}>Domain:</label>
@@ -379,6 +1620,20 @@ DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`;
               style={styles.input}
             />
           </div>
+          <div style={styles.inputGroup}>
+            <label style={styles.label}>Content Type:</label>
+            <select
+              value={config.contentType}
+              onChange={(e) => setConfig(prev => ({ ...prev, contentType: e.target.value, currentOffset: 0 }))}
+              style={styles.input}
+            >
+              {contentTypes.map(type => (
+                <option key={type.slug} value={type.slug}>
+                  {type.name} ({type.restNamespace}/{type.restBase})
+                </option>
+              ))}
+            </select>
+          </div>
           <div style={styles.inputGroup}>
             <label style={styles.label}>Batch Size:</label>
             <input
@@ -401,33 +1656,866 @@ DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`;
             />
           </div>
         </div>
+        <div style={styles.filterPanel}>
+          <h3 style={styles.subsectionTitle}>Authentication (optional)</h3>
+          <div style={styles.configGrid}>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Username:</label>
+              <input
+                type="text"
+                value={config.username}
+                onChange={(e) => setConfig(prev => ({ ...prev, username: e.target.value }))}
+                placeholder="wp-username"
+                autoComplete="off"
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Application Password:</label>
+              <input
+                type="password"
+                value={config.appPassword}
+                onChange={(e) => setConfig(prev => ({ ...prev, appPassword: e.target.value }))}
+                placeholder="xxxx xxxx xxxx xxxx xxxx xxxx"
+                autoComplete="new-password"
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Post Status:</label>
+              <div style={styles.checkboxGroup}>
+                {POST_STATUSES.map(status => (
+                  <label key={status.value} style={styles.checkboxLabel}>
+                    <input
+                      type="checkbox"
+                      checked={filters.statuses.includes(status.value)}
+                      disabled={!hasCredentials}
+                      onChange={(e) => setFilters(prev => ({
+                        ...prev,
+                        statuses: e.target.checked
+                          ? [...prev.statuses, status.value]
+                          : prev.statuses.filter(value => value !== status.value)
+                      }))}
+                    />
+                    {status.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+          <div style={styles.csvNote}>
+            Create an Application Password under Users → Profile in WordPress. Credentials are sent as Basic auth over HTTPS, kept in memory only, and unlock drafts, scheduled and private posts.
+          </div>
+        </div>
+        <div style={styles.filterPanel}>
+          <div style={styles.filterHeader}>
+            <h3 style={styles.subsectionTitle}>Filters</h3>
+            <div>
+              <button
+                onClick={loadFilterOptions}
+                disabled={loadingFilterOptions || !config.domain}
+                style={styles.buttonSecondary}
+              >
+                {loadingFilterOptions ? 'Loading...' : 'Load Content Types & Filters'}
+              </button>
+              <button onClick={clearFilters} style={styles.buttonSecondary}>
+                Clear Filters
+              </button>
+            </div>
+          </div>
+          <div style={styles.configGrid}>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Categories:</label>
+              <select
+                multiple
+                value={filters.categories.map(String)}
+                onChange={(e) => {
+                  const selected = Array.from(e.target.selectedOptions, option => Number(option.value));
+                  setFilters(prev => ({ ...prev, categories: selected }));
+                }}
+                disabled={filterOptions.categories.length === 0 || !selectedContentType.taxonomies.includes('category')}
+                style={styles.multiSelect}
+              >
+                {filterOptions.categories.map(category => (
+                  <option key={category.id} value={category.id}>
+                    {category.name} ({category.count})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Tags:</label>
+              <select
+                multiple
+                value={filters.tags.map(String)}
+                onChange={(e) => {
+                  const selected = Array.from(e.target.selectedOptions, option => Number(option.value));
+                  setFilters(prev => ({ ...prev, tags: selected }));
+                }}
+                disabled={filterOptions.tags.length === 0 || !selectedContentType.taxonomies.includes('post_tag')}
+                style={styles.multiSelect}
+              >
+                {filterOptions.tags.map(tag => (
+                  <option key={tag.id} value={tag.id}>
+                    {tag.name} ({tag.count})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Author:</label>
+              <select
+                value={filters.author}
+                onChange={(e) => setFilters(prev => ({ ...prev, author: e.target.value }))}
+                style={styles.input}
+              >
+                <option value="">Any author</option>
+                {filterOptions.authors.map(author => (
+                  <option key={author.id} value={author.id}>{author.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div style={styles.configGrid}>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Published After:</label>
+              <input
+                type="date"
+                value={filters.after}
+                onChange={(e) => setFilters(prev => ({ ...prev, after: e.target.value }))}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Published Before:</label>
+              <input
+                type="date"
+                value={filters.before}
+                onChange={(e) => setFilters(prev => ({ ...prev, before: e.target.value }))}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Search:</label>
+              <input
+                type="text"
+                value={filters.search}
+                onChange={(e) => setFilters(prev => ({ ...prev, search: e.target.value }))}
+                placeholder="keyword"
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Order By:</label>
+              <select
+                value={filters.orderby}
+                onChange={(e) => setFilters(prev => ({ ...prev, orderby: e.target.value }))}
+                style={styles.input}
+              >
+                <option value="date">Publish date</option>
+                <option value="modified">Last modified</option>
+                <option value="title">Title</option>
+                <option value="id">Post ID</option>
+                <option value="relevance">Relevance (needs search)</option>
+              </select>
+            </div>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Order:</label>
+              <select
+                value={filters.order}
+                onChange={(e) => setFilters(prev => ({ ...prev, order: e.target.value }))}
+                style={styles.input}
+              >
+                <option value="desc">Newest / Z-A first</option>
+                <option value="asc">Oldest / A-Z first</option>
+              </select>
+            </div>
+          </div>
+        </div>
+        <div style={styles.filterPanel}>
+          <h3 style={styles.subsectionTitle}>Image Fallbacks</h3>
+          <div style={styles.csvNote}>
+            Used in this order when a post has no featured image. Each row records which one supplied its image.
+          </div>
+          {imageFallback.order.map((strategy, index) => (
+            <div key={strategy.id} style={styles.fallbackRow}>
+              <label style={styles.checkboxLabel}>
+                <input
+                  type="checkbox"
+                  checked={strategy.enabled}
+                  onChange={(e) => setImageFallback(prev => ({
+                    ...prev,
+                    order: prev.order.map(item => (item.id === strategy.id ? { ...item, enabled: e.target.checked } : item))
+                  }))}
+                />
+                {index + 1}. {IMAGE_SOURCES[strategy.id]}
+              </label>
+              <button onClick={() => moveImageFallback(index, -1)} disabled={index === 0} style={styles.smallButton}>↑</button>
+              <button onClick={() => moveImageFallback(index, 1)} disabled={index === imageFallback.order.length - 1} style={styles.smallButton}>↓</button>
+            </div>
+          ))}
+          <div style={styles.inputGroup}>
+            <label style={styles.label}>Placeholder Image URL (this site):</label>
+            <input
+              type="url"
+              value={imageFallback.placeholderUrl}
+              onChange={(e) => setImageFallback(prev => ({ ...prev, placeholderUrl: e.target.value }))}
+              placeholder="https://yoursite.com/wp-content/uploads/pin-placeholder.jpg"
+              style={styles.input}
+            />
+          </div>
+        </div>
+        <div style={styles.filterPanel}>
+          <div style={styles.filterHeader}>
+            <h3 style={styles.subsectionTitle}>Title Cleanup</h3>
+            <button
+              onClick={applyTextRulesToRows}
+              disabled={!posts.some(post => post.domain === currentDomain)}
+              style={styles.buttonSecondary}
+            >
+              Apply to Current Rows
+            </button>
+          </div>
+          <div style={styles.csvNote}>
+            Applied to original titles when fetching (and before they reach the AI) and to AI titles as they arrive. Entities are always decoded, HTML tags stripped and whitespace trimmed. Hand edits are left alone until "Apply to Current Rows".
+          </div>
+          <div style={styles.configGrid}>
+            <div style={styles.checkboxGroup}>
+              <label style={styles.checkboxLabel}>
+                <input
+                  type="checkbox"
+                  checked={textRules.smartQuotes}
+                  onChange={(e) => setTextRules(prev => ({ ...prev, smartQuotes: e.target.checked }))}
+                />
+                Convert smart quotes to straight quotes
+              </label>
+              <label style={styles.checkboxLabel}>
+                <input
+                  type="checkbox"
+                  checked={textRules.removeEmoji}
+                  onChange={(e) => setTextRules(prev => ({ ...prev, removeEmoji: e.target.checked }))}
+                />
+                Remove emoji
+              </label>
+            </div>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Case:</label>
+              <select
+                value={textRules.caseRule}
+                onChange={(e) => setTextRules(prev => ({ ...prev, caseRule: e.target.value }))}
+                style={styles.input}
+              >
+                {CASE_RULES.map(rule => (
+                  <option key={rule.value} value={rule.value}>{rule.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {textRules.replacements.map((rule, index) => (
+            <div key={index} style={styles.fallbackRow}>
+              <input
+                type="text"
+                value={rule.find}
+                onChange={(e) => updateReplacement(index, { find: e.target.value })}
+                placeholder="Find, e.g.  | Brand Name"
+                style={rule.regex && rule.find && !replacementPattern(rule) ? { ...styles.columnInput, ...styles.inputInvalid } : styles.columnInput}
+              />
+              <input
+                type="text"
+                value={rule.replace}
+                onChange={(e) => updateReplacement(index, { replace: e.target.value })}
+                placeholder="Replace with (empty removes)"
+                style={styles.columnInput}
+              />
+              <label style={styles.checkboxLabel}>
+                <input
+                  type="checkbox"
+                  checked={rule.regex}
+                  onChange={(e) => updateReplacement(index, { regex: e.target.checked })}
+                />
+                Regex
+              </label>
+              <button onClick={() => removeReplacement(index)} style={styles.removeButton}>Remove</button>
+            </div>
+          ))}
+          <button onClick={addReplacement} style={styles.buttonSecondary}>Add Find/Replace Rule</button>
+        </div>
+        <div style={styles.filterPanel}>
+          <h3 style={styles.subsectionTitle}>Link Rewriting</h3>
+          <div style={styles.csvNote}>
+            Applied to this site's post URLs in exported links, e.g. to swap a staging host for production. The original permalink stays available as its own column.
+          </div>
+          <div style={styles.configGrid}>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Replace Host:</label>
+              <input
+                type="text"
+                value={urlRewrite.fromHost}
+                onChange={(e) => setUrlRewrite(prev => ({ ...prev, fromHost: e.target.value }))}
+                placeholder="staging.example.com"
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>With Host:</label>
+              <input
+                type="text"
+                value={urlRewrite.toHost}
+                onChange={(e) => setUrlRewrite(prev => ({ ...prev, toHost: e.target.value }))}
+                placeholder="example.com"
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.checkboxGroup}>
+              <label style={styles.checkboxLabel}>
+                <input
+                  type="checkbox"
+                  checked={urlRewrite.forceHttps}
+                  onChange={(e) => setUrlRewrite(prev => ({ ...prev, forceHttps: e.target.checked }))}
+                />
+                Force https
+              </label>
+            </div>
+          </div>
+        </div>
+        <div style={styles.filterPanel}>
+          <div style={styles.filterHeader}>
+            <h3 style={styles.subsectionTitle}>Sites ({sites.length})</h3>
+            <div style={styles.presetActions}>
+              <input
+                type="text"
+                value={config.siteName}
+                onChange={(e) => setConfig(prev => ({ ...prev, siteName: e.target.value }))}
+                placeholder={currentDomain || 'Site name'}
+                style={styles.input}
+              />
+              <button onClick={saveSite} disabled={!config.domain} style={styles.buttonSecondary}>
+                {sites.some(site => site.name === formSite.name) ? 'Update Site' : 'Save as Site'}
+              </button>
+            </div>
+          </div>
+          <div style={styles.csvNote}>
+            Save the form above as a named site to fetch several sites into one batch. Each site keeps its own content type, credentials, filters, image fallbacks and title cleanup rules. Application Passwords are kept in memory only; after a reload, Edit the site, re-enter the password and save it again.
+          </div>
+          {sites.length > 0 && (
+            <table style={styles.mappingTable}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Site</th>
+                  <th style={styles.th}>Domain</th>
+                  <th style={styles.th}>Content Type</th>
+                  <th style={styles.th}>Filters</th>
+                  <th style={styles.th}>Login</th>
+                  <th style={styles.th}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {sites.map(site => (
+                  <tr key={site.id} style={styles.tr}>
+                    <td style={styles.td}>{site.name}</td>
+                    <td style={styles.td}>{site.domain}</td>
+                    <td style={styles.td}>{site.contentType.name}</td>
+                    <td style={styles.td}>{describeFilters(site.filters)}</td>
+                    <td style={styles.td}>
+                      {!site.username ? 'Public only'
+                        : siteHasCredentials(site) ? site.username
+                        : `${site.username} (password needed)`}
+                    </td>
+                    <td style={styles.td}>
+                      <button onClick={() => editSite(site)} style={styles.smallButton}>Edit</button>
+                      <button onClick={() => removeSite(site.id)} style={styles.removeButton}>Remove</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+        <label style={styles.exportOption}>
+          <input
+            type="checkbox"
+            checked={config.skipExported}
+            onChange={(e) => setConfig(prev => ({ ...prev, skipExported: e.target.checked }))}
+          />
+          Skip posts already exported ({exportedKeys.size} posts in export history)
+        </label>
         <button
           onClick={fetchWordPressPosts}
           disabled={processingStatus.fetching || !config.domain}
           style={styles.button}
         >
-          {processingStatus.fetching ? 'Fetching...' : 'Fetch Posts'}
+          {processingStatus.fetching && !fetchProgress ? 'Fetching...' : 'Fetch Posts'}
         </button>
+        <button
+          onClick={fetchAllWordPressPosts}
+          disabled={processingStatus.fetching || !config.domain}
+          style={styles.buttonSecondary}
+        >
+          {fetchProgress ? 'Fetching All...' : 'Fetch All Posts'}
+        </button>
+        {sites.length > 0 && (
+          <button
+            onClick={fetchAllSites}
+            disabled={processingStatus.fetching}
+            style={styles.buttonSecondary}
+          >
+            Fetch All Sites ({sites.length})
+          </button>
+        )}
+        <button
+          onClick={() => csvFileInputRef.current?.click()}
+          disabled={processingStatus.fetching}
+          style={styles.buttonSecondary}
+        >
+          Import CSV
+        </button>
+        <input
+          ref={csvFileInputRef}
+          type="file"
+          accept="text/csv,.csv"
+          onChange={importCsvFile}
+          style={{ display: 'none' }}
+        />
+        {fetchProgress && (
+          <div style={styles.progress}>
+            <div style={styles.progressTrack}>
+              <div
+                style={{
+                  ...styles.progressBar,
+                  width: fetchProgress.totalPages ? `${Math.round((fetchProgress.page / fetchProgress.totalPages) * 100)}%` : '0%'
+                }}
+              />
+            </div>
+            <div style={styles.progressText}>
+              {fetchProgress.site && sites.length > 0 ? `${fetchProgress.site}: ` : ''}
+              {fetchProgress.totalPages
+                ? `Page ${fetchProgress.page} of ${fetchProgress.totalPages}`
+                : 'Loading first page...'}
+              {` · ${fetchProgress.collected} posts collected`}
+              {fetchProgress.total ? ` (${fetchProgress.total} on site)` : ''}
+            </div>
+            <button onClick={cancelFetch} style={styles.buttonDanger}>
+              Cancel
+            </button>
+          </div>
+        )}
+        {csvImport && (
+          <div style={styles.filterPanel}>
+            <h3 style={styles.subsectionTitle}>Import {csvImport.filename} ({csvImport.rows.length} rows)</h3>
+            <div style={styles.csvNote}>
+              Choose the CSV column for each field. Rows whose URL matches a live post are linked back to its WordPress post ID, so they pick up categories, image sizes and content and can be re-tested, re-optimized and exported again. Rows that share a URL become title variants of one post.
+            </div>
+            <div style={styles.configGrid}>
+              {IMPORT_FIELDS.map(field => (
+                <div key={field.value} style={styles.inputGroup}>
+                  <label style={styles.label}>{field.label}:</label>
+                  <select
+                    value={csvImport.mapping[field.value]}
+                    onChange={(e) => updateImportMapping(field.value, e.target.value)}
+                    style={styles.input}
+                  >
+                    <option value="">(not imported)</option>
+                    {csvImport.fields.map(name => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+            <table style={styles.mappingTable}>
+              <thead>
+                <tr>
+                  {IMPORT_FIELDS.filter(field => csvImport.mapping[field.value]).map(field => (
+                    <th key={field.value} style={styles.th}>{field.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {csvImport.rows.slice(0, 3).map((row, index) => (
+                  <tr key={index} style={styles.tr}>
+                    {IMPORT_FIELDS.filter(field => csvImport.mapping[field.value]).map(field => (
+                      <td key={field.value} style={styles.previewCell}>{row[csvImport.mapping[field.value]]}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div style={styles.buttonGroup}>
+              <button
+                onClick={applyCsvImport}
+                disabled={processingStatus.fetching || (!csvImport.mapping.title && !csvImport.mapping.url)}
+                style={styles.button}
+              >
+                {processingStatus.fetching ? 'Matching posts...' : `Import ${csvImport.rows.length} Rows`}
+              </button>
+              <button onClick={() => setCsvImport(null)} disabled={processingStatus.fetching} style={styles.buttonSecondary}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
       </section>
 
              {/* Processing Controls */}
        <section style={styles.section}>
          <h2 style={styles.sectionTitle}>Data Processing</h2>
+         <div style={styles.configGrid}>
+           <div style={styles.inputGroup}>
+             <label style={styles.label}>Title Variants per Post:</label>
+             <input
+               type="number"
+               value={aiSettings.variantsPerPost}
+               onChange={(e) => setAiSettings(prev => ({
+                 ...prev,
+                 variantsPerPost: Math.min(MAX_VARIANTS, Math.max(1, parseInt(e.target.value) || 1))
+               }))}
+               min="1"
+               max={MAX_VARIANTS}
+               style={styles.input}
+             />
+           </div>
+           <div style={styles.inputGroup}>
+             <label style={styles.label}>Preferred Image Size:</label>
+             <select
+               value={imageRule.preferredSize}
+               onChange={(e) => updateImageRule({ preferredSize: e.target.value })}
+               style={styles.input}
+             >
+               {availableImageSizes.map(size => (
+                 <option key={size} value={size}>{size}</option>
+               ))}
+             </select>
+           </div>
+           <div style={styles.inputGroup}>
+             <label style={styles.label}>Minimum Image Width (px):</label>
+             <input
+               type="number"
+               value={imageRule.minWidth}
+               onChange={(e) => updateImageRule({ minWidth: Math.max(0, parseInt(e.target.value) || 0) })}
+               min="0"
+               step="100"
+               style={styles.input}
+             />
+           </div>
+           <div style={styles.inputGroup}>
+             <label style={styles.label}>Parallel Image Tests:</label>
+             <input
+               type="number"
+               value={imageTestSettings.concurrency}
+               onChange={(e) => setImageTestSettings(prev => ({ ...prev, concurrency: Math.min(20, Math.max(1, parseInt(e.target.value) || 1)) }))}
+               min="1"
+               max="20"
+               style={styles.input}
+             />
+           </div>
+           <div style={styles.inputGroup}>
+             <label style={styles.label}>Image Test Timeout (seconds):</label>
+             <input
+               type="number"
+               value={imageTestSettings.timeoutSeconds}
+               onChange={(e) => setImageTestSettings(prev => ({ ...prev, timeoutSeconds: Math.min(60, Math.max(1, parseInt(e.target.value) || 1)) }))}
+               min="1"
+               max="60"
+               style={styles.input}
+             />
+           </div>
+           <div style={styles.inputGroup}>
+             <label style={styles.label}>Also Generate:</label>
+             <div style={styles.checkboxGroup}>
+               {PIN_DETAIL_OPTIONS.map(option => (
+                 <label key={option.value} style={styles.checkboxLabel}>
+                   <input
+                     type="checkbox"
+                     checked={aiSettings.detailFields.includes(option.value)}
+                     onChange={(e) => setAiSettings(prev => ({
+                       ...prev,
+                       detailFields: e.target.checked
+                         ? [...prev.detailFields, option.value]
+                         : prev.detailFields.filter(field => field !== option.value)
+                     }))}
+                   />
+                   {option.label}
+                 </label>
+               ))}
+             </div>
+           </div>
+         </div>
+         <details style={styles.settingsPanel}>
+           <summary style={styles.settingsSummary}>AI Provider ({activeProvider.label})</summary>
+           <div style={styles.configGrid}>
+             <div style={styles.inputGroup}>
+               <label style={styles.label}>Provider:</label>
+               <select
+                 value={providerSettings.provider}
+                 onChange={(e) => selectProvider(e.target.value)}
+                 style={styles.input}
+               >
+                 {AI_PROVIDERS.map(provider => (
+                   <option key={provider.id} value={provider.id}>{provider.label}</option>
+                 ))}
+               </select>
+             </div>
+             {activeProvider.id !== 'rules' && (
+               <>
+                 <div style={styles.inputGroup}>
+                   <label style={styles.label}>Endpoint:</label>
+                   <input
+                     type="url"
+                     value={providerSettings[activeProvider.id].endpoint}
+                     onChange={(e) => updateProviderAuth({ endpoint: e.target.value.trim() })}
+                     placeholder={activeProvider.endpointPlaceholder}
+                     style={styles.input}
+                   />
+                 </div>
+                 <div style={styles.inputGroup}>
+                   <label style={styles.label}>API Key:</label>
+                   <input
+                     type="password"
+                     value={providerSettings[activeProvider.id].apiKey}
+                     onChange={(e) => updateProviderAuth({ apiKey: e.target.value.trim() })}
+                     placeholder="Server default"
+                     autoComplete="new-password"
+                     style={styles.input}
+                   />
+                 </div>
+               </>
+             )}
+           </div>
+           <div style={styles.csvNote}>
+             {activeProvider.id === 'rules'
+               ? 'Rewrites titles in the browser with fixed templates (one per variant angle) and builds pin details from the post text. Nothing is sent anywhere and the same posts always get the same titles.'
+               : <>
+                 Leave the endpoint blank to use the API server's default; any other endpoint must be listed in the server's <code>AI_ALLOWED_ENDPOINTS</code>. {activeProvider.keyHint}; a key typed here is kept in memory only and sent to the API server with each request.
+                 {' '}The server's own key is never sent to an endpoint typed here.
+               </>}
+           </div>
+           {activeProvider.id !== 'rules' && (
+             <>
+               <div style={styles.configGrid}>
+                 <div style={styles.inputGroup}>
+                   <label style={styles.label}>Budget per Run (USD, 0 = no cap):</label>
+                   <input
+                     type="number"
+                     value={usageSettings.budget}
+                     onChange={(e) => setUsageSettings(prev => ({ ...prev, budget: Math.max(0, parseFloat(e.target.value) || 0) }))}
+                     min="0"
+                     step="0.5"
+                     style={styles.input}
+                   />
+                 </div>
+                 <div style={styles.inputGroup}>
+                   <label style={styles.label}>Input Price (USD per 1M tokens):</label>
+                   <input
+                     type="number"
+                     value={usageSettings.inputPrice}
+                     onChange={(e) => setUsageSettings(prev => ({ ...prev, inputPrice: e.target.value }))}
+                     placeholder={MODEL_PRICES[aiSettings.model] ? String(MODEL_PRICES[aiSettings.model].input) : 'unknown'}
+                     min="0"
+                     step="0.01"
+                     style={styles.input}
+                   />
+                 </div>
+                 <div style={styles.inputGroup}>
+                   <label style={styles.label}>Output Price (USD per 1M tokens):</label>
+                   <input
+                     type="number"
+                     value={usageSettings.outputPrice}
+                     onChange={(e) => setUsageSettings(prev => ({ ...prev, outputPrice: e.target.value }))}
+                     placeholder={MODEL_PRICES[aiSettings.model] ? String(MODEL_PRICES[aiSettings.model].output) : 'unknown'}
+                     min="0"
+                     step="0.01"
+                     style={styles.input}
+                   />
+                 </div>
+               </div>
+               <div style={styles.csvNote}>
+                 Leave the prices blank to use the list price for {aiSettings.model || 'the model'}; set both for local or unlisted models (0 for free).
+                 {' '}A run pauses before the batch whose estimated cost would take it over the budget; "Resume" and a row's Retry or Re-optimize count toward the same run, so they stop at the same budget.
+                 {Number(usageSettings.budget) > 0 && !modelPrice && ' No price is known for this model, so the budget cannot be enforced.'}
+               </div>
+             </>
+           )}
+         </details>
+         <details style={styles.settingsPanel}>
+           <summary style={styles.settingsSummary}>Prompt & Model Settings ({activePreset})</summary>
+           <div style={styles.configGrid}>
+             <div style={styles.inputGroup}>
+               <label style={styles.label}>Preset:</label>
+               <select
+                 value={activePreset}
+                 onChange={(e) => applyPreset(e.target.value)}
+                 style={styles.input}
+               >
+                 <optgroup label="Built-in">
+                   {BUILT_IN_PRESETS.map(preset => (
+                     <option key={preset.name} value={preset.name}>{preset.name}</option>
+                   ))}
+                 </optgroup>
+                 {savedPresets.length > 0 && (
+                   <optgroup label="Saved">
+                     {savedPresets.map(preset => (
+                       <option key={preset.name} value={preset.name}>{preset.name}</option>
+                     ))}
+                   </optgroup>
+                 )}
+               </select>
+             </div>
+             <div style={styles.inputGroup}>
+               <label style={styles.label}>Brand Name:</label>
+               <input
+                 type="text"
+                 value={aiSettings.brand}
+                 onChange={(e) => setAiSettings(prev => ({ ...prev, brand: e.target.value }))}
+                 placeholder="e.g. Sunny Side Kitchen"
+                 style={styles.input}
+               />
+             </div>
+             <div style={styles.inputGroup}>
+               <label style={styles.label}>Audience:</label>
+               <input
+                 type="text"
+                 value={aiSettings.audience}
+                 onChange={(e) => setAiSettings(prev => ({ ...prev, audience: e.target.value }))}
+                 placeholder="e.g. busy parents who cook on weeknights"
+                 style={styles.input}
+               />
+             </div>
+             <div style={styles.inputGroup}>
+               <label style={styles.label}>Max Title Characters:</label>
+               <input
+                 type="number"
+                 value={aiSettings.maxChars}
+                 onChange={(e) => setAiSettings(prev => ({ ...prev, maxChars: parseInt(e.target.value) || '' }))}
+                 onBlur={() => setAiSettings(prev => ({ ...prev, maxChars: clampToRange(prev.maxChars, MAX_CHARS_RANGE, DEFAULT_MAX_CHARS) }))}
+                 min={MAX_CHARS_RANGE.min}
+                 max={MAX_CHARS_RANGE.max}
+                 style={styles.input}
+               />
+             </div>
+           </div>
+           <div style={styles.configGrid}>
+             <div style={styles.inputGroup}>
+               <label style={styles.label}>Model:</label>
+               <input
+                 type="text"
+                 list="model-options"
+                 value={aiSettings.model}
+                 onChange={(e) => setAiSettings(prev => ({ ...prev, model: e.target.value }))}
+                 style={styles.input}
+               />
+               <datalist id="model-options">
+                 {activeProvider.models.map(model => (
+                   <option key={model} value={model} />
+                 ))}
+               </datalist>
+             </div>
+             <div style={styles.inputGroup}>
+               <label style={styles.label}>Max Tokens:</label>
+               <input
+                 type="number"
+                 value={aiSettings.maxTokens}
+                 onChange={(e) => setAiSettings(prev => ({ ...prev, maxTokens: parseInt(e.target.value) || '' }))}
+                 onBlur={() => setAiSettings(prev => ({ ...prev, maxTokens: prev.maxTokens === '' ? '' : clampToRange(prev.maxTokens, MAX_TOKENS_RANGE, '') }))}
+                 placeholder={`Auto (${defaultMaxTokens(aiSettings.batchSize, aiSettings.variantsPerPost)})`}
+                 min={MAX_TOKENS_RANGE.min}
+                 max={MAX_TOKENS_RANGE.max}
+                 style={styles.input}
+               />
+             </div>
+             <div style={styles.inputGroup}>
+               <label style={styles.label}>Titles per Request:</label>
+               <input
+                 type="number"
+                 value={aiSettings.batchSize}
+                 onChange={(e) => setAiSettings(prev => ({ ...prev, batchSize: Math.max(1, parseInt(e.target.value) || DEFAULT_PROMPT_SETTINGS.batchSize) }))}
+                 min="1"
+                 max="50"
+                 style={styles.input}
+               />
+             </div>
+           </div>
+           <div style={styles.inputGroup}>
+             <label style={styles.label}>Prompt Template:</label>
+             <textarea
+               value={aiSettings.promptTemplate}
+               onChange={(e) => setAiSettings(prev => ({ ...prev, promptTemplate: e.target.value }))}
+               rows={10}
+               style={styles.templateInput}
+             />
+           </div>
+           <div style={styles.csvNote}>
+             Placeholders: <code>{'{titles}'}</code> (numbered list), <code>{'{brand}'}</code>, <code>{'{audience}'}</code>, <code>{'{max_chars}'}</code>, <code>{'{count}'}</code>.
+             {' '}Lines whose placeholders are all empty are left out. The JSON response format (and the variant angles) is always added after the template.
+             {' '}Leave Max Tokens blank to allow {MAX_TOKENS_PER_TITLE} tokens per title and variant in each request; a number you set is used as is for every request.
+           </div>
+           <div style={styles.presetActions}>
+             <input
+               type="text"
+               value={presetName}
+               onChange={(e) => setPresetName(e.target.value)}
+               placeholder="Preset name"
+               style={styles.columnInputWide}
+             />
+             <button onClick={savePreset} disabled={!presetName.trim()} style={styles.buttonSecondary}>
+               Save as Preset
+             </button>
+             <button
+               onClick={deletePreset}
+               disabled={!savedPresets.some(preset => preset.name === activePreset)}
+               style={styles.buttonSecondary}
+             >
+               Delete Preset
+             </button>
+             <button onClick={exportPresets} disabled={savedPresets.length === 0} style={styles.buttonSecondary}>
+               Export Presets
+             </button>
+             <button onClick={() => presetFileInputRef.current?.click()} style={styles.buttonSecondary}>
+               Import Presets
+             </button>
+             <input
+               ref={presetFileInputRef}
+               type="file"
+               accept="application/json,.json"
+               onChange={importPresets}
+               style={{ display: 'none' }}
+             />
+           </div>
+         </details>
+         {postsToOptimize.length > 0 && providerSettings.provider !== 'rules' && (
+           <div style={styles.csvNote}>
+             {processingStatus.optimizeProgress
+               ? `Used so far: ${formatTokens(processingStatus.optimizeProgress.usage.inputTokens)} input + ${formatTokens(processingStatus.optimizeProgress.usage.outputTokens)} output tokens`
+                 + ` (${formatCost(usageCost(processingStatus.optimizeProgress.usage, modelPrice))}) for ${processingStatus.optimizeProgress.done} of ${processingStatus.optimizeProgress.total} posts`
+               : `Estimate for ${postsToOptimize.length} posts: ${runEstimate.requests} requests, about ${formatTokens(runEstimate.inputTokens)} input`
+                 + ` + ${formatTokens(runEstimate.outputTokens)} output tokens, ${formatCost(estimatedCost)} with ${aiSettings.model}`
+                 + (Number(usageSettings.budget) > 0 && estimatedCost > Number(usageSettings.budget) ? ` (over the ${formatCost(Number(usageSettings.budget))} budget)` : '')}
+           </div>
+         )}
                   <div style={styles.buttonGroup}>
             <button
-              onClick={optimizeTitles}
+              onClick={() => optimizeTitles()}
               disabled={posts.filter(p => p.imageUrl).length === 0 || processingStatus.optimizing}
               style={styles.button}
             >
-              {processingStatus.optimizing ? 'Optimizing...' : 'Optimize Titles'}
+              {processingStatus.optimizing
+                ? 'Optimizing...'
+                : aiSettings.detailFields.length > 0 ? 'Optimize Titles & Pin Details' : 'Optimize Titles'}
             </button>
 
+            {pausedKeys.length > 0 && !processingStatus.optimizing && (
+              <button onClick={() => optimizeTitles(pausedKeys)} style={styles.buttonSecondary}>
+                Resume ({pausedKeys.length} posts left)
+              </button>
+            )}
+
             <button
               onClick={testImagesForCanva}
               disabled={posts.length === 0 || processingStatus.validating}
               style={styles.buttonSecondary}
             >
-              {processingStatus.validating ? 'Testing...' : 'Test Images for Canva'}
+              {processingStatus.imageTestProgress
+                ? `Testing ${processingStatus.imageTestProgress.done}/${processingStatus.imageTestProgress.total}...`
+                : 'Test Images for Canva'}
             </button>
 
             <button
@@ -439,45 +2527,496 @@ DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`;
           </div>
        </section>
 
+      {/* Publish Schedule */}
+      {posts.length > 0 && (
+        <section style={styles.section}>
+          <h2 style={styles.sectionTitle}>Publish Schedule</h2>
+          <div style={styles.configGrid}>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Start Date:</label>
+              <input
+                type="date"
+                value={scheduleRules.startDate}
+                onChange={(e) => setScheduleRules(prev => ({ ...prev, startDate: e.target.value }))}
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Pins per Day:</label>
+              <input
+                type="number"
+                value={scheduleRules.pinsPerDay}
+                onChange={(e) => setScheduleRules(prev => ({ ...prev, pinsPerDay: Math.min(50, Math.max(1, parseInt(e.target.value) || 1)) }))}
+                min="1"
+                max="50"
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Time Windows:</label>
+              <input
+                type="text"
+                value={scheduleRules.timeWindows}
+                onChange={(e) => setScheduleRules(prev => ({ ...prev, timeWindows: e.target.value }))}
+                placeholder="08:00-11:00, 19:00-22:00"
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Time Zone:</label>
+              <select
+                value={scheduleRules.timeZone}
+                onChange={(e) => setScheduleRules(prev => ({ ...prev, timeZone: e.target.value }))}
+                style={styles.input}
+              >
+                {TIME_ZONES.map(zone => (
+                  <option key={zone} value={zone}>{zone}</option>
+                ))}
+              </select>
+            </div>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Min. Days Between Pins of the Same URL:</label>
+              <input
+                type="number"
+                value={scheduleRules.minDaysSameUrl}
+                onChange={(e) => setScheduleRules(prev => ({ ...prev, minDaysSameUrl: Math.max(0, parseInt(e.target.value) || 0) }))}
+                min="0"
+                style={styles.input}
+              />
+            </div>
+            <div style={styles.checkboxGroup}>
+              <label style={styles.checkboxLabel}>
+                <input
+                  type="checkbox"
+                  checked={scheduleRules.spreadCategories}
+                  onChange={(e) => setScheduleRules(prev => ({ ...prev, spreadCategories: e.target.checked }))}
+                />
+                Spread categories evenly
+              </label>
+            </div>
+          </div>
+          <div style={styles.buttonGroup}>
+            <button onClick={schedulePins} disabled={exportRows.length === 0} style={styles.button}>
+              Schedule {exportRows.length} Pins
+            </button>
+            <button onClick={() => setSchedule({})} disabled={scheduledPins.length === 0} style={styles.buttonSecondary}>
+              Clear Schedule
+            </button>
+          </div>
+          <div style={styles.csvNote}>
+            Dates go into the Pinterest profile's "Publish date" column and the "Scheduled publish date (UTC)" column source. Drag a pin to another day to move it; pins closer than the minimum spacing for their URL are marked red.
+            {scheduledPins.length > 0 && scheduledPins.length < exportRows.length && ` ${exportRows.length - scheduledPins.length} rows are not scheduled yet.`}
+          </div>
+          {calendarDays.length > 0 && (
+            <div style={styles.calendar}>
+              {calendarDays.map(day => (
+                <div
+                  key={day}
+                  style={styles.calendarDay}
+                  onDragOver={(e) => e.preventDefault()}
+                  onDrop={(e) => {
+                    e.preventDefault();
+                    movePin(draggedPinRef.current, day);
+                    draggedPinRef.current = null;
+                  }}
+                >
+                  <div style={styles.calendarDate}>
+                    {new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' })}
+                  </div>
+                  {scheduledPins.filter(pin => pin.day === day).map(pin => (
+                    <div
+                      key={pin.id}
+                      draggable
+                      onDragStart={() => { draggedPinRef.current = pin.id; }}
+                      title={`${resolveSourceValue(pin.row, 'title')}\n${pin.row.permalink}`}
+                      style={spacingConflicts.has(pin.id) ? { ...styles.calendarPin, ...styles.calendarPinConflict } : styles.calendarPin}
+                    >
+                      <strong>{formatMinutes(pin.minutes)}</strong> {resolveSourceValue(pin.row, 'title')}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+      )}
+
              {/* CSV Configuration */}
        <section style={styles.section}>
          <h2 style={styles.sectionTitle}>CSV Configuration</h2>
          <div style={styles.csvConfig}>
-           <div style={styles.columnHeaders}>
-             {csvColumns.map((column, index) => (
-               <div key={index} style={styles.columnHeader}>
+           <div style={styles.inputGroup}>
+             <label style={styles.label}>Export Profile:</label>
+             <select
+               value={exportProfile.id}
+               onChange={(e) => setExportOptions(prev => ({ ...prev, profile: e.target.value }))}
+               style={styles.input}
+             >
+               {EXPORT_PROFILES.map(profile => (
+                 <option key={profile.id} value={profile.id}>{profile.name}</option>
+               ))}
+             </select>
+           </div>
+           {exportProfile.id === 'pinterest' ? (
+             <div style={styles.filterPanel}>
+               <div style={styles.inputGroup}>
+                 <label style={styles.label}>Default Pinterest Board:</label>
                  <input
                    type="text"
-                   value={column}
-                   onChange={(e) => updateColumnHeader(index, e.target.value)}
-                   style={styles.columnInput}
+                   value={pinterestSettings.defaultBoard}
+                   onChange={(e) => setPinterestSettings(prev => ({ ...prev, defaultBoard: e.target.value }))}
+                   placeholder="Board name or Board/Section"
+                   style={styles.input}
                  />
-                 <button
-                   onClick={() => removeColumn(index)}
-                   style={styles.removeButton}
-                   disabled={csvColumns.length <= 1}
-                 >
-                   ×
-                 </button>
                </div>
-             ))}
-           </div>
-           <button onClick={addColumn} style={styles.buttonSecondary}>
-             Add Column
-           </button>
-           <div style={styles.csvNote}>
-             <strong>Canva Format:</strong> Use "Title", "Image", and "URL" for best compatibility with Canva's bulk create feature.
+               {postCategories.length > 0 && (
+                 <table style={styles.mappingTable}>
+                   <thead>
+                     <tr>
+                       <th style={styles.th}>Category</th>
+                       <th style={styles.th}>Pinterest Board</th>
+                     </tr>
+                   </thead>
+                   <tbody>
+                     {postCategories.map(category => (
+                       <tr key={category} style={styles.tr}>
+                         <td style={styles.td}>{category}</td>
+                         <td style={styles.td}>
+                           <input
+                             type="text"
+                             value={pinterestSettings.categoryBoards[category] || ''}
+                             onChange={(e) => setPinterestSettings(prev => ({
+                               ...prev,
+                               categoryBoards: { ...prev.categoryBoards, [category]: e.target.value }
+                             }))}
+                             placeholder={pinterestSettings.defaultBoard || 'Default board'}
+                             style={styles.columnInputWide}
+                           />
+                         </td>
+                       </tr>
+                     ))}
+                   </tbody>
+                 </table>
+               )}
+               <div style={styles.csvNote}>
+                 <strong>Pinterest Format:</strong> Title, Media URL, Pinterest board, Thumbnail, Description, Link, Publish date and Keywords.
+                 {' '}Titles are cut to 100 characters, descriptions to 500 and links to 2000; descriptions fall back to the excerpt.
+                 {' '}A row's board is the first mapped board among its categories, otherwise the default board. Pinterest accepts up to {PINTEREST_MAX_ROWS} pins per file.
+               </div>
+             </div>
+           ) : (
+             <>
+               <table style={styles.mappingTable}>
+                 <thead>
+                   <tr>
+                     <th style={styles.th}>Name</th>
+                     <th style={styles.th}>CSV Header</th>
+                     <th style={styles.th}>Source</th>
+                     <th style={styles.th}>Source Setting</th>
+                     <th style={styles.th}></th>
+                   </tr>
+                 </thead>
+                 <tbody>
+                   {csvColumns.map(column => {
+                     const source = COLUMN_SOURCES.find(option => option.value === column.source);
+                     return (
+                       <tr key={column.id} style={styles.tr}>
+                         <td style={styles.td}>
+                           <input
+                             type="text"
+                             value={column.name}
+                             onChange={(e) => updateColumn(column.id, { name: e.target.value })}
+                             style={styles.columnInput}
+                           />
+                         </td>
+                         <td style={styles.td}>
+                           <input
+                             type="text"
+                             value={column.header}
+                             onChange={(e) => updateColumn(column.id, { header: e.target.value })}
+                             style={styles.columnInput}
+                           />
+                         </td>
+                         <td style={styles.td}>
+                           <select
+                             value={column.source}
+                             onChange={(e) => updateColumn(column.id, {
+                               source: e.target.value,
+                               param: e.target.value === 'image_size' ? 'large' : ''
+                             })}
+                             style={styles.columnInput}
+                           >
+                             {COLUMN_SOURCES.map(option => (
+                               <option key={option.value} value={option.value}>{option.label}</option>
+                             ))}
+                           </select>
+                         </td>
+                         <td style={styles.td}>
+                           {source?.param === 'size' ? (
+                             <select
+                               value={column.param}
+                               onChange={(e) => updateColumn(column.id, { param: e.target.value })}
+                               style={styles.columnInput}
+                             >
+                               {availableImageSizes.map(size => (
+                                 <option key={size} value={size}>{size}</option>
+                               ))}
+                             </select>
+                           ) : source?.param ? (
+                             <input
+                               type="text"
+                               value={column.param}
+                               onChange={(e) => updateColumn(column.id, { param: e.target.value })}
+                               placeholder={
+                                 source.param === 'template' ? '{category} | {date}'
+                                   : source.param === 'field' ? 'acf_field_name'
+                                   : 'value'
+                               }
+                               style={styles.columnInputWide}
+                             />
+                           ) : (
+                             <span style={styles.pending}>—</span>
+                           )}
+                         </td>
+                         <td style={styles.td}>
+                           <button
+                             onClick={() => removeColumn(column.id)}
+                             style={styles.removeButton}
+                             disabled={csvColumns.length <= 1}
+                           >
+                             ×
+                           </button>
+                         </td>
+                       </tr>
+                     );
+                   })}
+                 </tbody>
+               </table>
+               <button onClick={addColumn} style={styles.buttonSecondary}>
+                 Add Column
+               </button>
+               <div style={styles.csvNote}>
+                 <strong>Canva Format:</strong> Use "Title", "Image", and "URL" for best compatibility with Canva's bulk create feature.
+                 {' '}Templates can combine any source: <code>{'{title}'}</code>, <code>{'{category}'}</code>, <code>{'{categories}'}</code>, <code>{'{tag}'}</code>, <code>{'{author}'}</code>, <code>{'{date}'}</code>, <code>{'{excerpt}'}</code>, <code>{'{permalink}'}</code>, <code>{'{image_size:large}'}</code>, <code>{'{acf:field_name}'}</code>.
+               </div>
+             </>
+           )}
+           <div style={styles.filterPanel}>
+             <label style={styles.checkboxLabel}>
+               <input
+                 type="checkbox"
+                 checked={linkSettings.utmEnabled}
+                 onChange={(e) => setLinkSettings(prev => ({ ...prev, utmEnabled: e.target.checked }))}
+               />
+               Add UTM parameters to exported links
+             </label>
+             {linkSettings.utmEnabled && (
+               <div style={styles.configGrid}>
+                 {UTM_FIELDS.map(field => (
+                   <div key={field.key} style={styles.inputGroup}>
+                     <label style={styles.label}>{field.label} ({field.param}):</label>
+                     <input
+                       type="text"
+                       value={linkSettings[field.key]}
+                       onChange={(e) => setLinkSettings(prev => ({ ...prev, [field.key]: e.target.value }))}
+                       style={styles.input}
+                     />
+                   </div>
+                 ))}
+               </div>
+             )}
+             <div style={styles.csvNote}>
+               The "Tracking link" source (the default URL column and the Pinterest Link column) is the permalink after each site's Link Rewriting, plus these UTM parameters; "Original URL" is the permalink as fetched.
+               {linkSettings.utmEnabled && (
+                 <>
+                   {' '}Values can use {UTM_PLACEHOLDERS.map(name => `{${name}}`).join(', ')}; empty values are left out.
+                   {exportRows.length > 0 && <> Example: <code>{exportRows[0].trackingUrl}</code></>}
+                 </>
+               )}
+             </div>
            </div>
+           {posts.length > 0 && (
+             <div style={styles.preview}>
+               <h3 style={styles.subsectionTitle}>Preview (first {Math.min(exportRows.length, 3)} of {exportRows.length} rows)</h3>
+               <div style={styles.resultsContainer}>
+                 <table style={styles.table}>
+                   <thead>
+                     <tr>
+                       {exportColumns.map(column => (
+                         <th key={column.key} style={styles.th}>{column.header}</th>
+                       ))}
+                     </tr>
+                   </thead>
+                   <tbody>
+                     {exportRows.slice(0, 3).map((row, index) => (
+                       <tr key={`${row.key}-${row.variantNumber}-${index}`} style={styles.tr}>
+                         {exportColumns.map(column => (
+                           <td key={column.key} style={styles.previewCell}>{column.value(row)}</td>
+                         ))}
+                       </tr>
+                     ))}
+                   </tbody>
+                 </table>
+               </div>
+             </div>
+           )}
          </div>
         
+        {posts.length > 0 && (
+          <label style={styles.exportOption}>
+            <input
+              type="checkbox"
+              checked={exportOptions.approvedOnly}
+              onChange={(e) => setExportOptions(prev => ({ ...prev, approvedOnly: e.target.checked }))}
+            />
+            Export approved rows only ({posts.filter(post => post.review === 'approved').length} approved, rejected rows are never exported)
+          </label>
+        )}
+
+        {posts.length > 0 && (
+          <div style={styles.configGrid}>
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Split Into Files:</label>
+              <select
+                value={exportOptions.splitMode}
+                onChange={(e) => setExportOptions(prev => ({ ...prev, splitMode: e.target.value }))}
+                style={styles.input}
+              >
+                {SPLIT_MODES.map(mode => (
+                  <option key={mode.value} value={mode.value}>{mode.label}</option>
+                ))}
+              </select>
+            </div>
+            {exportOptions.splitMode === 'chunk' && (
+              <div style={styles.inputGroup}>
+                <label style={styles.label}>Rows per File:</label>
+                <input
+                  type="number"
+                  value={exportOptions.chunkSize}
+                  onChange={(e) => setExportOptions(prev => ({ ...prev, chunkSize: Math.max(1, parseInt(e.target.value) || 1) }))}
+                  min="1"
+                  style={styles.input}
+                />
+              </div>
+            )}
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Filename Pattern:</label>
+              <input
+                type="text"
+                value={exportOptions.filenamePattern}
+                onChange={(e) => setExportOptions(prev => ({ ...prev, filenamePattern: e.target.value }))}
+                placeholder={DEFAULT_FILENAME_PATTERN}
+                style={styles.input}
+              />
+              <div style={styles.fieldHint}>
+                {'{profile}'}, {'{date}'}, {'{group}'}, {'{part}'}, {'{count}'} · {exportFileCount} file{exportFileCount === 1 ? '' : 's'}
+                {exportFileCount > 1 ? ', downloaded as a ZIP with manifest.json' : ''}
+              </div>
+            </div>
+          </div>
+        )}
+
         {posts.length > 0 && (
           <button
             onClick={generateCSV}
             disabled={processingStatus.generating}
             style={styles.button}
           >
-            {processingStatus.generating ? 'Generating...' : 'Generate & Download CSV'}
+            {processingStatus.generating ? 'Generating...' : exportFileCount > 1 ? `Generate & Download ZIP (${exportFileCount} CSVs)` : 'Generate & Download CSV'}
+          </button>
+        )}
+      </section>
+
+      {/* Export History */}
+      <section style={styles.section}>
+        <h2 style={styles.sectionTitle}>Export History</h2>
+        <div style={styles.buttonGroup}>
+          <button onClick={exportHistoryFile} disabled={exportHistory.length === 0 && optimizeRuns.length === 0} style={styles.buttonSecondary}>
+            Export History (JSON)
+          </button>
+          <button onClick={() => historyFileInputRef.current?.click()} style={styles.buttonSecondary}>
+            Import History (JSON)
           </button>
+          <input
+            ref={historyFileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={importHistoryFile}
+            style={{ display: 'none' }}
+          />
+        </div>
+        {exportHistory.filter(entry => !currentDomain || entry.domain === currentDomain).length === 0 ? (
+          <div style={styles.pending}>No exports recorded{currentDomain ? ` for ${currentDomain}` : ''} yet.</div>
+        ) : (
+          <div style={styles.resultsContainer}>
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Exported</th>
+                  <th style={styles.th}>Site</th>
+                  <th style={styles.th}>File</th>
+                  <th style={styles.th}>Rows</th>
+                  <th style={styles.th}>Post IDs</th>
+                </tr>
+              </thead>
+              <tbody>
+                {exportHistory
+                  .filter(entry => !currentDomain || entry.domain === currentDomain)
+                  .map(entry => (
+                    <tr key={entry.id} style={styles.tr}>
+                      <td style={styles.td}>{new Date(entry.exportedAt).toLocaleString()}</td>
+                      <td style={styles.td}>{entry.domain}</td>
+                      <td style={styles.td}>{entry.filename}</td>
+                      <td style={styles.td}>{entry.rowCount}</td>
+                      <td style={styles.previewCell}>{entry.postIds.join(', ')}</td>
+                    </tr>
+                  ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {optimizeRuns.length > 0 && (
+          <>
+            <h3 style={styles.subsectionTitle}>
+              Optimization Runs ({formatCost(optimizeRuns.reduce((sum, run) => sum + (run.cost || 0), 0))} total
+              {optimizeRuns.some(run => run.cost === null) ? ', some prices unknown' : ''})
+            </h3>
+            <div style={styles.resultsContainer}>
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>Finished</th>
+                    <th style={styles.th}>Provider / Model</th>
+                    <th style={styles.th}>Posts</th>
+                    <th style={styles.th}>Requests</th>
+                    <th style={styles.th}>Input Tokens</th>
+                    <th style={styles.th}>Output Tokens</th>
+                    <th style={styles.th}>Cost</th>
+                    <th style={styles.th}>Estimate</th>
+                    <th style={styles.th}>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {optimizeRuns.map(run => (
+                    <tr key={run.id} style={styles.tr}>
+                      <td style={styles.td}>{new Date(run.finishedAt).toLocaleString()}</td>
+                      <td style={styles.td}>{[run.provider, run.model].filter(Boolean).join(' / ')}</td>
+                      <td style={styles.td}>{run.posts}</td>
+                      <td style={styles.td}>{run.requests}</td>
+                      <td style={styles.td}>{formatTokens(run.inputTokens)}</td>
+                      <td style={styles.td}>{formatTokens(run.outputTokens)}</td>
+                      <td style={styles.td}>{formatCost(run.cost)}</td>
+                      <td style={styles.td}>{run.estimatedCost === undefined ? '' : formatCost(run.estimatedCost)}</td>
+                      <td style={styles.td}>
+                        {run.status}
+                        {run.status === 'paused' && run.budget ? ` at ${formatCost(run.budget)}` : ''}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
         )}
       </section>
 
@@ -499,24 +3038,167 @@ DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`;
       {posts.length > 0 && (
         <section style={styles.section}>
           <h2 style={styles.sectionTitle}>Results ({posts.length} posts)</h2>
+          <label style={styles.exportOption}>
+            <input
+              type="checkbox"
+              checked={showFailingImagesOnly}
+              onChange={(e) => setShowFailingImagesOnly(e.target.checked)}
+            />
+            Show only rows with failing or missing images ({posts.filter(isFailingImage).length})
+          </label>
+          {postSites.length > 1 && (
+            <div style={styles.inputGroup}>
+              <label style={styles.label}>Site:</label>
+              <select value={activeSiteFilter} onChange={(e) => setSiteFilter(e.target.value)} style={styles.input}>
+                <option value="">All sites ({posts.length})</option>
+                {postSites.map(site => (
+                  <option key={site} value={site}>
+                    {site} ({posts.filter(post => post.site === site).length})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
           <div style={styles.resultsContainer}>
             <table style={styles.table}>
                              <thead>
                                   <tr>
+                    {postSites.length > 1 && <th style={styles.th}>Site</th>}
                     <th style={styles.th}>Title</th>
+                    <th style={styles.th}>Review</th>
+                    {showPinDetails && <th style={styles.th}>Pin Details</th>}
+                    <th style={styles.th}>Status</th>
                     <th style={styles.th}>Image</th>
                     <th style={styles.th}>Canva Status</th>
                   </tr>
                </thead>
                <tbody>
-                 {posts.map((post, index) => (
-                   <tr key={post.id || index} style={styles.tr}>
+                 {visiblePosts.map((post, index) => (
+                   <tr
+                     key={post.key || index}
+                     style={post.review === 'approved' ? { ...styles.tr, ...styles.rowApproved }
+                       : post.review === 'rejected' ? { ...styles.tr, ...styles.rowRejected }
+                       : styles.tr}
+                   >
+                     {postSites.length > 1 && <td style={styles.td}>{post.site}</td>}
                      <td style={styles.td}>
-                       {post.optimizedTitle ? (
-                         <span style={styles.optimized}>{post.optimizedTitle}</span>
+                       {post.variants ? (
+                         <div>
+                           {post.variants.map((variant, variantIndex) => (
+                             <label key={variantIndex} style={styles.variantLabel}>
+                               <input
+                                 type="checkbox"
+                                 checked={variant.keep}
+                                 onChange={() => toggleVariant(post.key, variantIndex)}
+                               />
+                               <input
+                                 type="text"
+                                 value={variant.text}
+                                 onChange={(e) => editVariant(post.key, variantIndex, e.target.value)}
+                                 style={variant.keep ? styles.titleInput : { ...styles.titleInput, ...styles.variantDropped }}
+                               />
+                               {variant.angle && <span style={styles.variantAngle}>{variant.angle}</span>}
+                             </label>
+                           ))}
+                           {!post.variants.some(variant => variant.keep) && (
+                             <span style={styles.pending}>No variants kept - this post will not be exported</span>
+                           )}
+                         </div>
                        ) : (
-                         <span>{post.title}</span>
+                         <input
+                           type="text"
+                           value={post.optimizedTitle ?? ''}
+                           onChange={(e) => editTitle(post.key, e.target.value)}
+                           placeholder={post.title}
+                           style={post.optimizedTitle ? { ...styles.titleInput, ...styles.optimized } : styles.titleInput}
+                         />
+                       )}
+                       {(post.optimizedTitle || post.variants) && (
+                         <div style={styles.originalTitle}>Original: {post.title}</div>
                        )}
+                       {post.edited && <span style={styles.editedBadge}>edited</span>}
+                       {post.optimizeError && (
+                         <div style={styles.failedRow}>
+                           <span style={styles.failedBadge} title={post.optimizeError}>failed: {post.optimizeError}</span>
+                           <button
+                             onClick={() => retryOptimizePost(post)}
+                             disabled={retryingIds.has(post.key) || processingStatus.optimizing}
+                             style={styles.smallButton}
+                           >
+                             {retryingIds.has(post.key) ? 'Retrying...' : 'Retry'}
+                           </button>
+                         </div>
+                       )}
+                     </td>
+                     <td style={styles.td}>
+                       <div style={styles.reviewActions}>
+                         <button
+                           onClick={() => setReview(post.key, 'approved')}
+                           style={post.review === 'approved' ? styles.approveActive : styles.smallButton}
+                           title="Approve for export"
+                         >
+                           ✓ Approve
+                         </button>
+                         <button
+                           onClick={() => setReview(post.key, 'rejected')}
+                           style={post.review === 'rejected' ? styles.rejectActive : styles.smallButton}
+                           title="Leave out of the export"
+                         >
+                           ✗ Reject
+                         </button>
+                         <button
+                           onClick={() => revertToOriginal(post.key)}
+                           disabled={!post.optimizedTitle && !post.variants}
+                           style={styles.smallButton}
+                         >
+                           Revert to original
+                         </button>
+                         <button
+                           onClick={() => retryOptimizePost(post)}
+                           disabled={retryingIds.has(post.key) || processingStatus.optimizing}
+                           style={styles.smallButton}
+                         >
+                           {retryingIds.has(post.key) ? 'Optimizing...' : 'Re-optimize'}
+                         </button>
+                       </div>
+                     </td>
+                     {showPinDetails && (
+                       <td style={styles.td}>
+                         <textarea
+                           value={post.description || ''}
+                           onChange={(e) => updatePost(post.key, { description: e.target.value })}
+                           placeholder="Pin description"
+                           rows={3}
+                           style={styles.detailInput}
+                         />
+                         <div style={(post.description || '').length > 500 ? styles.charCountOver : styles.charCount}>
+                           {(post.description || '').length}/500
+                         </div>
+                         <input
+                           type="text"
+                           value={post.altText || ''}
+                           onChange={(e) => updatePost(post.key, { altText: e.target.value })}
+                           placeholder="Alt text"
+                           style={styles.detailInput}
+                         />
+                         <input
+                           type="text"
+                           value={(post.keywords || []).join(', ')}
+                           onChange={(e) => updatePost(post.key, {
+                             keywords: e.target.value.split(',').map(keyword => keyword.trimStart())
+                           })}
+                           onBlur={() => updatePost(post.key, {
+                             keywords: (post.keywords || []).map(keyword => keyword.trim()).filter(Boolean)
+                           })}
+                           placeholder="keyword one, keyword two"
+                           style={styles.detailInput}
+                         />
+                       </td>
+                     )}
+                     <td style={styles.td}>
+                       <span style={post.status && post.status !== 'publish' ? styles.statusNotPublic : styles.statusPublic}>
+                         {POST_STATUSES.find(status => status.value === post.status)?.label || post.status || 'Published'}
+                       </span>
                      </td>
                       <td style={styles.td}>
                         {post.imageUrl ? (
@@ -526,12 +3208,49 @@ DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`;
                         ) : (
                           'No image'
                         )}
+                        {post.imageUrl && post.imageSource && post.imageSource !== 'featured' && (
+                          <div style={styles.imageMeta}>via {IMAGE_SOURCES[post.imageSource]}</div>
+                        )}
+                        {post.imageSize && post.imageSizes?.[post.imageSize]?.width && (() => {
+                          const size = post.imageSizes[post.imageSize];
+                          const warnings = imageWarnings(size, imageRule);
+                          return (
+                            <div style={styles.imageMeta}>
+                              <div>
+                                {size.width}×{size.height} · {aspectRatioLabel(size.width, size.height)}
+                                {size.filesize ? ` · ${formatBytes(size.filesize)}` : ''}
+                              </div>
+                              {warnings.map(warning => (
+                                <span key={warning} style={styles.imageWarning}>{warning}</span>
+                              ))}
+                            </div>
+                          );
+                        })()}
+                        {Object.keys(post.imageSizes || {}).length > 1 && (
+                          <select
+                            value={post.imageOverride || ''}
+                            onChange={(e) => setImageOverride(post.key, e.target.value)}
+                            style={styles.sizeSelect}
+                          >
+                            <option value="">Auto ({post.imageOverride ? 'rule' : post.imageSize})</option>
+                            {Object.entries(post.imageSizes)
+                              .sort(([, a], [, b]) => (a.width || 0) - (b.width || 0))
+                              .map(([name, size]) => (
+                                <option key={name} value={name}>
+                                  {name}{size.width ? ` - ${size.width}×${size.height}` : ''}{size.filesize ? ` (${formatBytes(size.filesize)})` : ''}
+                                </option>
+                              ))}
+                          </select>
+                        )}
                       </td>
                       <td style={styles.td}>
                         {post.imageStatus === 'canva_ok' ? (
                           <span style={styles.canvaOk}>✓ Canva Ready</span>
                         ) : post.imageStatus === 'canva_fail' ? (
-                          <span style={styles.canvaFail}>✗ May not work</span>
+                          <span style={styles.canvaFail}>
+                            ✗ May not work
+                            {post.imageError && <span style={styles.imageErrorReason}>{post.imageError}</span>}
+                          </span>
                         ) : post.imageStatus === 'no_image' ? (
                           <span style={styles.noImage}>No image</span>
                         ) : (
@@ -624,6 +3343,84 @@ const styles = {
     marginRight: '10px',
     marginBottom: '10px'
   },
+  filterPanel: {
+    borderTop: '1px solid #dee2e6',
+    paddingTop: '15px',
+    marginBottom: '10px'
+  },
+  filterHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginBottom: '10px'
+  },
+  subsectionTitle: {
+    color: '#333',
+    fontSize: '1.1rem',
+    fontWeight: 'bold',
+    margin: '0 0 10px 0'
+  },
+  checkboxGroup: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '10px'
+  },
+  checkboxLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px',
+    fontSize: '14px'
+  },
+  statusPublic: {
+    color: '#155724',
+    fontSize: '12px'
+  },
+  statusNotPublic: {
+    backgroundColor: '#fff3cd',
+    color: '#856404',
+    padding: '4px 8px',
+    borderRadius: '4px',
+    fontSize: '12px',
+    fontWeight: 'bold'
+  },
+  multiSelect: {
+    padding: '6px',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    fontSize: '14px',
+    minHeight: '110px'
+  },
+  buttonDanger: {
+    backgroundColor: '#dc3545',
+    color: 'white',
+    padding: '8px 16px',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: 'bold'
+  },
+  progress: {
+    marginTop: '10px'
+  },
+  progressTrack: {
+    height: '10px',
+    backgroundColor: '#e9ecef',
+    borderRadius: '5px',
+    overflow: 'hidden',
+    marginBottom: '8px'
+  },
+  progressBar: {
+    height: '100%',
+    backgroundColor: '#007bff',
+    transition: 'width 0.3s ease'
+  },
+  progressText: {
+    fontSize: '14px',
+    color: '#555',
+    marginBottom: '10px'
+  },
   buttonGroup: {
     display: 'flex',
     flexWrap: 'wrap',
@@ -659,6 +3456,62 @@ const styles = {
     fontSize: '12px',
     width: '120px'
   },
+  columnInputWide: {
+    padding: '8px',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    fontSize: '12px',
+    width: '220px'
+  },
+  mappingTable: {
+    borderCollapse: 'collapse',
+    fontSize: '14px',
+    marginBottom: '15px'
+  },
+  preview: {
+    marginTop: '20px'
+  },
+  calendar: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fill, minmax(160px, 1fr))',
+    gap: '8px',
+    marginTop: '16px'
+  },
+  calendarDay: {
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    padding: '6px',
+    minHeight: '80px',
+    backgroundColor: '#fafafa'
+  },
+  calendarDate: {
+    fontSize: '12px',
+    fontWeight: 'bold',
+    color: '#555',
+    marginBottom: '4px'
+  },
+  calendarPin: {
+    fontSize: '11px',
+    backgroundColor: '#e7f1ff',
+    borderRadius: '3px',
+    padding: '3px 5px',
+    marginBottom: '3px',
+    cursor: 'grab',
+    overflow: 'hidden',
+    whiteSpace: 'nowrap',
+    textOverflow: 'ellipsis'
+  },
+  calendarPinConflict: {
+    backgroundColor: '#f8d7da',
+    color: '#721c24'
+  },
+  previewCell: {
+    padding: '8px 12px',
+    verticalAlign: 'top',
+    fontSize: '12px',
+    maxWidth: '260px',
+    wordBreak: 'break-word'
+  },
   removeButton: {
     backgroundColor: '#dc3545',
     color: 'white',
@@ -712,6 +3565,221 @@ const styles = {
     color: '#28a745',
     fontWeight: 'bold'
   },
+  settingsPanel: {
+    border: '1px solid #dee2e6',
+    borderRadius: '4px',
+    padding: '10px 15px',
+    marginBottom: '20px'
+  },
+  settingsSummary: {
+    cursor: 'pointer',
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: '10px'
+  },
+  templateInput: {
+    padding: '10px',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    fontSize: '13px',
+    fontFamily: 'monospace',
+    resize: 'vertical'
+  },
+  presetActions: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '10px',
+    marginTop: '15px'
+  },
+  detailInput: {
+    width: '100%',
+    minWidth: '240px',
+    boxSizing: 'border-box',
+    padding: '6px',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    fontSize: '12px',
+    fontFamily: 'inherit',
+    marginBottom: '6px'
+  },
+  fieldHint: {
+    fontSize: '11px',
+    color: '#6c757d',
+    marginTop: '4px'
+  },
+  charCount: {
+    fontSize: '11px',
+    color: '#6c757d',
+    textAlign: 'right',
+    marginTop: '-4px',
+    marginBottom: '6px'
+  },
+  charCountOver: {
+    fontSize: '11px',
+    color: '#dc3545',
+    fontWeight: 'bold',
+    textAlign: 'right',
+    marginTop: '-4px',
+    marginBottom: '6px'
+  },
+  titleInput: {
+    width: '100%',
+    minWidth: '240px',
+    boxSizing: 'border-box',
+    padding: '6px',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    fontSize: '14px',
+    fontFamily: 'inherit'
+  },
+  originalTitle: {
+    fontSize: '12px',
+    color: '#6c757d',
+    marginTop: '4px'
+  },
+  editedBadge: {
+    display: 'inline-block',
+    marginTop: '4px',
+    fontSize: '11px',
+    color: '#856404',
+    backgroundColor: '#fff3cd',
+    borderRadius: '4px',
+    padding: '1px 6px'
+  },
+  reviewActions: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    alignItems: 'stretch'
+  },
+  approveActive: {
+    backgroundColor: '#28a745',
+    color: 'white',
+    padding: '4px 10px',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '12px',
+    fontWeight: 'bold'
+  },
+  rejectActive: {
+    backgroundColor: '#dc3545',
+    color: 'white',
+    padding: '4px 10px',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '12px',
+    fontWeight: 'bold'
+  },
+  rowApproved: {
+    backgroundColor: '#f3fbf5'
+  },
+  rowRejected: {
+    backgroundColor: '#fdf3f4',
+    opacity: 0.7
+  },
+  sessionBanner: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '10px',
+    padding: '10px 15px',
+    marginBottom: '20px',
+    backgroundColor: '#e7f3ff',
+    border: '1px solid #b3d9ff',
+    borderRadius: '4px',
+    color: '#0056b3'
+  },
+  exportOption: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    fontSize: '14px',
+    marginBottom: '10px'
+  },
+  inputInvalid: {
+    borderColor: '#dc3545'
+  },
+  fallbackRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    marginBottom: '6px'
+  },
+  imageErrorReason: {
+    display: 'block',
+    fontSize: '12px',
+    fontWeight: 'normal',
+    marginTop: '2px'
+  },
+  imageMeta: {
+    fontSize: '12px',
+    color: '#555',
+    marginTop: '4px'
+  },
+  imageWarning: {
+    display: 'inline-block',
+    marginTop: '4px',
+    marginRight: '4px',
+    fontSize: '11px',
+    color: '#856404',
+    backgroundColor: '#fff3cd',
+    borderRadius: '4px',
+    padding: '1px 6px'
+  },
+  sizeSelect: {
+    marginTop: '6px',
+    padding: '4px',
+    border: '1px solid #ddd',
+    borderRadius: '4px',
+    fontSize: '12px',
+    maxWidth: '220px'
+  },
+  failedRow: {
+    display: 'flex',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '6px',
+    marginTop: '6px'
+  },
+  failedBadge: {
+    backgroundColor: '#f8d7da',
+    color: '#721c24',
+    padding: '2px 8px',
+    borderRadius: '4px',
+    fontSize: '12px',
+    fontWeight: 'bold'
+  },
+  smallButton: {
+    backgroundColor: '#6c757d',
+    color: 'white',
+    padding: '4px 10px',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '12px'
+  },
+  variantLabel: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '6px',
+    marginBottom: '6px'
+  },
+  variantDropped: {
+    color: '#6c757d',
+    textDecoration: 'line-through'
+  },
+  variantAngle: {
+    fontSize: '11px',
+    color: '#0056b3',
+    backgroundColor: '#e7f3ff',
+    borderRadius: '4px',
+    padding: '1px 6px',
+    whiteSpace: 'nowrap'
+  },
   pending: {
     color: '#6c757d',
     fontStyle: 'italic'
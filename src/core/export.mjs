@@ -0,0 +1,395 @@
+// CSV export: column sources, export profiles, tracking links and file splitting
+
+import Papa from 'papaparse';
+import JSZip from 'jszip';
+import { clampText, slugify } from './text.mjs';
+import { IMAGE_SOURCES } from './images.mjs';
+import { slugFromUrl } from './wordpress.mjs';
+
+// Data sources a CSV column can be mapped to. "param" describes the extra input a source needs.
+export const COLUMN_SOURCES = [
+  { value: 'title', label: 'Title (optimized if available)' },
+  { value: 'original_title', label: 'Original title' },
+  { value: 'optimized_title', label: 'Optimized title' },
+  { value: 'excerpt', label: 'Excerpt' },
+  { value: 'description', label: 'Pin description (AI)' },
+  { value: 'alt_text', label: 'Image alt text (AI)' },
+  { value: 'keywords', label: 'Keywords (AI)' },
+  { value: 'hashtags', label: 'Keyword hashtags (AI)' },
+  { value: 'categories', label: 'Category names' },
+  { value: 'tags', label: 'Tag names' },
+  { value: 'author', label: 'Author' },
+  { value: 'date', label: 'Publish date' },
+  { value: 'image', label: 'Image URL' },
+  { value: 'image_size', label: 'Image URL (specific size)', param: 'size' },
+  { value: 'image_source', label: 'Image source (featured, fallback...)' },
+  { value: 'site', label: 'Site name' },
+  { value: 'publish_date', label: 'Scheduled publish date (UTC)' },
+  { value: 'tracking_url', label: 'Tracking link (rewritten, with UTM)' },
+  { value: 'permalink', label: 'Original URL (permalink)' },
+  { value: 'variant', label: 'Variant number' },
+  { value: 'variant_angle', label: 'Variant angle' },
+  { value: 'seo_title', label: 'SEO title (Yoast / RankMath)' },
+  { value: 'seo_description', label: 'SEO description (Yoast / RankMath)' },
+  { value: 'acf', label: 'ACF field', param: 'field' },
+  { value: 'static', label: 'Fixed value', param: 'value' },
+  { value: 'template', label: 'Template', param: 'template' }
+];
+
+// Sources usable as {placeholders} in templates, plus single-value shorthands
+const TEMPLATE_PLACEHOLDERS = [
+  ...COLUMN_SOURCES.map(source => source.value).filter(value => value !== 'template'),
+  'category', 'tag', 'url'
+];
+
+export const DEFAULT_CSV_COLUMNS = [
+  { id: 1, name: 'Title', header: 'Title', source: 'title', param: '' },
+  { id: 2, name: 'Image', header: 'Image', source: 'image', param: '' },
+  { id: 3, name: 'URL', header: 'URL', source: 'tracking_url', param: '' }
+];
+
+// Resolve a single data source for a post; "param" is the size, field name, value or template
+export const resolveSourceValue = (post, source, param = '') => {
+  switch (source) {
+    case 'title':
+      return post.optimizedTitle || post.title || '';
+    case 'original_title':
+      return post.title || '';
+    case 'optimized_title':
+      return post.optimizedTitle || '';
+    case 'excerpt':
+      return post.excerpt || '';
+    case 'category':
+      return post.categories?.[0] || '';
+    case 'description':
+      return post.description || '';
+    case 'alt_text':
+      return post.altText || '';
+    case 'keywords':
+      return (post.keywords || []).join(', ');
+    case 'hashtags':
+      return (post.keywords || [])
+        .map(keyword => `#${keyword.replace(/[^\p{L}\p{N}]+/gu, '')}`)
+        .filter(tag => tag.length > 1)
+        .join(' ');
+    case 'categories':
+      return (post.categories || []).join(', ');
+    case 'tag':
+      return post.tags?.[0] || '';
+    case 'tags':
+      return (post.tags || []).join(', ');
+    case 'author':
+      return post.author || '';
+    case 'date':
+      return (post.date || '').split('T')[0];
+    case 'image':
+      return post.imageUrl || '';
+    case 'site':
+      return post.site || '';
+    case 'publish_date':
+      return formatPublishDate(post.publishAt);
+    case 'image_source':
+      return post.imageUrl && post.imageSource ? IMAGE_SOURCES[post.imageSource] : '';
+    case 'image_size':
+      return post.imageSizes?.[param]?.url || '';
+    case 'tracking_url':
+      return post.trackingUrl || post.permalink || '';
+    case 'permalink':
+    case 'url':
+      return post.permalink || '';
+    case 'variant':
+      return String(post.variantNumber || 1);
+    case 'variant_angle':
+      return post.variantAngle || '';
+    case 'seo_title':
+      return post.seo?.title || '';
+    case 'seo_description':
+      return post.seo?.description || '';
+    case 'acf': {
+      const value = post.acf?.[param];
+      if (value === null || value === undefined) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+    case 'static':
+      return param;
+    case 'template':
+      // {source} or {source:param}, e.g. "{category} | {date}" or "{acf:prep_time}"
+      // Unknown placeholders are left as typed so mistakes are visible in the preview
+      return param.replace(/\{([a-z_]+)(?::([^}]+))?\}/g, (match, name, arg) => (
+        TEMPLATE_PLACEHOLDERS.includes(name) ? resolveSourceValue(post, name, arg || '') : match
+      ));
+    default:
+      return '';
+  }
+};
+
+// Posts that go into the export: rejected rows never do, and "approved only" keeps just approved rows
+export const selectExportPosts = (posts, approvedOnly) => posts.filter(post => (
+  approvedOnly ? post.review === 'approved' : post.review !== 'rejected'
+));
+
+// One export row per kept title variant; posts without variants export a single row
+export const expandVariantRows = (posts) => posts.flatMap(post => {
+  if (!post.variants || post.variants.length === 0) {
+    return [{ ...post, variantNumber: 1, variantAngle: '' }];
+  }
+  return post.variants
+    .map((variant, index) => ({ ...variant, number: index + 1 }))
+    .filter(variant => variant.keep)
+    .map(variant => ({
+      ...post,
+      optimizedTitle: variant.text,
+      variantNumber: variant.number,
+      variantAngle: variant.angle || ''
+    }));
+});
+
+// Resolve the value of a configured CSV column for a post
+export const resolveColumnValue = (post, column) => resolveSourceValue(post, column.source, column.param);
+
+// Per-site rewriting of post URLs before they're exported, e.g. a staging host to production
+export const DEFAULT_URL_REWRITE = { fromHost: '', toHost: '', forceHttps: false };
+
+// UTM parameters added to exported links; values are templates filled per row
+export const DEFAULT_LINK_SETTINGS = {
+  utmEnabled: false,
+  source: 'pinterest',
+  medium: 'social',
+  campaign: '',
+  content: '{post_id}-{variant}'
+};
+
+export const UTM_FIELDS = [
+  { key: 'source', param: 'utm_source', label: 'Source' },
+  { key: 'medium', param: 'utm_medium', label: 'Medium' },
+  { key: 'campaign', param: 'utm_campaign', label: 'Campaign' },
+  { key: 'content', param: 'utm_content', label: 'Content' }
+];
+
+// Placeholders available in UTM values
+export const UTM_PLACEHOLDERS = ['post_id', 'variant', 'variant_angle', 'slug', 'site', 'domain', 'category', 'date'];
+
+// Fill UTM {placeholders} for an export row; unknown placeholders are left as typed
+const renderUtmValue = (template, row) => {
+  const values = {
+    post_id: row.id ?? '',
+    variant: row.variantNumber || 1,
+    variant_angle: row.variantAngle || '',
+    slug: slugFromUrl(row.permalink || '') || '',
+    site: slugify(row.site || ''),
+    domain: row.domain || '',
+    category: slugify(row.categories?.[0] || ''),
+    date: (row.date || '').split('T')[0]
+  };
+  return template.replace(/\{([a-z_]+)\}/g, (match, name) => (name in values ? String(values[name]) : match)).trim();
+};
+
+// The link written for a row: the permalink with the site's host rewrite, forced https and UTM parameters.
+// Anything that isn't a valid URL is passed through unchanged.
+export const buildTrackingUrl = (row, rewrite = DEFAULT_URL_REWRITE, settings = DEFAULT_LINK_SETTINGS) => {
+  if (!row.permalink) return '';
+  let url;
+  try {
+    url = new URL(row.permalink);
+  } catch (error) {
+    return row.permalink;
+  }
+
+  if (rewrite.fromHost.trim() && rewrite.toHost.trim() && url.host.toLowerCase() === rewrite.fromHost.trim().toLowerCase()) {
+    url.host = rewrite.toHost.trim();
+  }
+  if (rewrite.forceHttps) url.protocol = 'https:';
+  if (settings.utmEnabled) {
+    UTM_FIELDS.forEach(field => {
+      const value = renderUtmValue(settings[field.key], row);
+      if (value) url.searchParams.set(field.param, value);
+    });
+  }
+  return url.toString();
+};
+
+// Pinterest expects publish dates as UTC "YYYY-MM-DDTHH:MM:SS"
+export const formatPublishDate = (iso) => (iso ? iso.slice(0, 19) : '');
+
+// Named export profiles: Canva uses the column mapping, Pinterest writes its bulk-upload format
+export const EXPORT_PROFILES = [
+  { id: 'canva', name: 'Canva bulk create', filePrefix: 'canva_bulk_create' },
+  { id: 'pinterest', name: 'Pinterest bulk upload', filePrefix: 'pinterest_bulk_upload' }
+];
+
+// Most pins Pinterest accepts in one bulk-upload file
+export const PINTEREST_MAX_ROWS = 200;
+
+export const DEFAULT_PINTEREST_SETTINGS = {
+  defaultBoard: '',
+  // Category name -> board name ("Board" or "Board/Section")
+  categoryBoards: {}
+};
+
+// First mapped category's board, otherwise the default board
+export const pinterestBoardFor = (row, settings) => (row.categories || [])
+  .map(category => settings.categoryBoards[category])
+  .find(board => board && board.trim()) || settings.defaultBoard;
+
+// Longest link Pinterest accepts. Longer links are written whole and flagged, since a cut URL leads nowhere.
+export const PINTEREST_MAX_LINK_LENGTH = 2000;
+
+export const pinterestLinkTooLong = row => resolveSourceValue(row, 'tracking_url').length > PINTEREST_MAX_LINK_LENGTH;
+
+// Pinterest's bulk-upload columns; text longer than maxLength (Pinterest's limit) is shortened
+export const PINTEREST_COLUMNS = [
+  { header: 'Title', maxLength: 100, value: row => resolveSourceValue(row, 'title') },
+  { header: 'Media URL', value: row => row.imageUrl || '' },
+  { header: 'Pinterest board', value: (row, settings) => pinterestBoardFor(row, settings) },
+  // Only used for video pins
+  { header: 'Thumbnail', value: () => '' },
+  { header: 'Description', maxLength: 500, value: row => row.description || row.excerpt || '' },
+  { header: 'Link', value: row => resolveSourceValue(row, 'tracking_url') },
+  // From the publish schedule; empty publishes as soon as the file is uploaded
+  { header: 'Publish date', value: row => formatPublishDate(row.publishAt) },
+  { header: 'Keywords', value: row => resolveSourceValue(row, 'keywords') }
+];
+
+// Ways to split one export into several files
+export const SPLIT_MODES = [
+  { value: 'none', label: 'One file' },
+  { value: 'chunk', label: 'Chunks of N rows' },
+  { value: 'category', label: 'One file per category' },
+  { value: 'site', label: 'One file per site' },
+  { value: 'variant', label: 'One file per title variant' }
+];
+
+export const DEFAULT_FILENAME_PATTERN = '{profile}_{date}_{group}';
+
+// Split export rows into files: [{ group, rows }], in first-seen group order
+export const splitExportRows = (rows, mode, chunkSize) => {
+  if (mode === 'chunk') {
+    const size = Math.max(1, chunkSize);
+    return Array.from({ length: Math.ceil(rows.length / size) }, (_, index) => ({
+      group: `part-${String(index + 1).padStart(2, '0')}`,
+      rows: rows.slice(index * size, (index + 1) * size)
+    }));
+  }
+
+  const groupOf = {
+    category: row => row.categories?.[0] || 'uncategorized',
+    site: row => row.site || row.domain || 'site',
+    variant: row => (row.variantAngle ? `variant-${row.variantNumber}-${row.variantAngle}` : `variant-${row.variantNumber}`)
+  }[mode];
+  if (!groupOf) return [{ group: '', rows }];
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const group = groupOf(row);
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(row);
+  });
+  return [...groups].map(([group, groupRows]) => ({ group, rows: groupRows }));
+};
+
+// Fill the filename pattern; empty placeholders don't leave stray separators behind
+export const exportFilename = (pattern, values) => {
+  const name = (pattern || DEFAULT_FILENAME_PATTERN)
+    .replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match))
+    .replace(/[\\/:*?"<>|]+/g, '-')
+    .replace(/([_-])[_-]+/g, '$1')
+    .replace(/^[_-]+|[_-]+$/g, '');
+  return `${name || 'export'}.csv`;
+};
+
+// Columns written by an export profile, as { key, header, value(row) }
+export const exportColumnsFor = (profileId, csvColumns = DEFAULT_CSV_COLUMNS, pinterestSettings = DEFAULT_PINTEREST_SETTINGS) => (
+  profileId === 'pinterest'
+    ? PINTEREST_COLUMNS.map(column => ({
+      key: column.header,
+      header: column.header,
+      value: row => clampText(column.value(row, pinterestSettings), column.maxLength)
+    }))
+    : csvColumns.map(column => ({
+      key: column.id,
+      header: column.header,
+      value: row => resolveColumnValue(row, column)
+    }))
+);
+
+// Split rows into named CSV files: [{ group, rows, filename, csv }].
+// Names are made unique (_copy2, _copy3...) when a pattern gives two files the same name.
+export const buildExportFiles = (rows, columns, { splitMode = 'none', chunkSize = 100, filenamePattern, filePrefix, date }) => {
+  const usedNames = new Set();
+  return splitExportRows(rows, splitMode, chunkSize).map((file, index) => {
+    const baseName = exportFilename(filenamePattern, {
+      profile: filePrefix, date, group: slugify(file.group), part: String(index + 1).padStart(2, '0'), count: file.rows.length
+    });
+    // The suffix can't be mistaken for part of the name, e.g. a date's day
+    let filename = baseName;
+    for (let copy = 2; usedNames.has(filename); copy++) {
+      filename = baseName.replace(/\.csv$/, `_copy${copy}.csv`);
+    }
+    usedNames.add(filename);
+
+    // Arrays keep duplicate headers intact
+    const csv = Papa.unparse({
+      fields: columns.map(column => column.header),
+      data: file.rows.map(row => columns.map(column => column.value(row)))
+    });
+    return { ...file, filename, csv };
+  });
+};
+
+// Problems Pinterest would reject or that change what gets pinned, for a Pinterest export's rows and
+// files ([{ filename, rows }]); shown by the app after a download and logged by the CLI
+export const pinterestExportWarnings = (rows, files, settings) => {
+  const warnings = [];
+  const noBoard = rows.filter(row => !pinterestBoardFor(row, settings).trim()).length;
+  const noImage = rows.filter(row => !row.imageUrl).length;
+  const clipped = rows.filter(row => PINTEREST_COLUMNS.some(column => (
+    column.maxLength && column.value(row, settings).length > column.maxLength
+  ))).length;
+  const longLinks = rows.filter(pinterestLinkTooLong).length;
+  const oversized = files.filter(file => file.rows.length > PINTEREST_MAX_ROWS);
+
+  if (noBoard > 0) warnings.push(`Warning: ${noBoard} rows have no Pinterest board. Set a default board or map their categories.`);
+  if (noImage > 0) warnings.push(`Warning: ${noImage} rows have no Media URL and will be rejected by Pinterest.`);
+  if (clipped > 0) warnings.push(`${clipped} rows had a title or description shortened to Pinterest's limits.`);
+  if (longLinks > 0) warnings.push(`Warning: ${longLinks} rows have a link over ${PINTEREST_MAX_LINK_LENGTH} characters and will be rejected by Pinterest. Shorten their UTM parameters or URL rewrite.`);
+  if (oversized.length > 0) {
+    warnings.push(`Warning: Pinterest accepts up to ${PINTEREST_MAX_ROWS} pins per file; ${oversized.map(file => `${file.filename} has ${file.rows.length}`).join(', ')}. Split into chunks of ${PINTEREST_MAX_ROWS}.`);
+  }
+  return warnings;
+};
+
+// Bundle several export files into one ZIP with a manifest of what went where.
+// type is passed to JSZip: 'blob' in the browser, 'nodebuffer' in Node.
+export const buildExportZip = (files, settings, type = 'blob') => {
+  const zip = new JSZip();
+  files.forEach(file => zip.file(file.filename, file.csv));
+  zip.file('manifest.json', JSON.stringify({
+    type: 'wordpress-to-canva-export',
+    generatedAt: new Date().toISOString(),
+    settings,
+    files: files.map(file => ({
+      filename: file.filename,
+      group: file.group,
+      rows: file.rows.length,
+      posts: [...new Map(file.rows.map(row => [row.key, { site: row.site, domain: row.domain, id: row.id }])).values()]
+    }))
+  }, null, 2));
+  return zip.generateAsync({ type });
+};
+
+// Export history entries for one file, one per site
+export const historyEntries = (filename, rows, exportedAt = new Date().toISOString()) => {
+  const domains = [...new Set(rows.map(row => row.domain))];
+  return domains.map(domain => {
+    const domainRows = rows.filter(row => row.domain === domain);
+    return {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      domain,
+      exportedAt,
+      filename,
+      rowCount: domainRows.length,
+      // Imported rows that never matched a WordPress post have no ID to record
+      postIds: [...new Set(domainRows.map(row => row.id).filter(Number.isInteger))]
+    };
+  });
+};
@@ -0,0 +1,96 @@
+import Papa from 'papaparse';
+import {
+  DEFAULT_CSV_COLUMNS,
+  DEFAULT_PINTEREST_SETTINGS,
+  PINTEREST_MAX_LINK_LENGTH,
+  PINTEREST_MAX_ROWS,
+  buildExportFiles,
+  exportColumnsFor,
+  pinterestExportWarnings,
+  pinterestLinkTooLong
+} from './export.mjs';
+import { makeRow } from '../test/fixtures.js';
+
+const options = { filePrefix: 'canva_bulk_create', date: '2026-03-02' };
+const columns = exportColumnsFor('canva', DEFAULT_CSV_COLUMNS);
+
+describe('buildExportFiles', () => {
+  test('writes one CSV with the mapped columns', () => {
+    const files = buildExportFiles([makeRow(1), makeRow(2)], columns, options);
+    expect(files).toHaveLength(1);
+    expect(files[0].filename).toBe('canva_bulk_create_2026-03-02.csv');
+    expect(Papa.parse(files[0].csv).data).toEqual([
+      ['Title', 'Image', 'URL'],
+      ['Better post 1', 'https://example.com/1.jpg', 'https://example.com/post-1/'],
+      ['Better post 2', 'https://example.com/2.jpg', 'https://example.com/post-2/']
+    ]);
+  });
+
+  test('splits into chunks and names each file after its group', () => {
+    const rows = [1, 2, 3, 4, 5].map(id => makeRow(id));
+    const files = buildExportFiles(rows, columns, { ...options, splitMode: 'chunk', chunkSize: 2 });
+    expect(files.map(file => file.filename)).toEqual([
+      'canva_bulk_create_2026-03-02_part-01.csv',
+      'canva_bulk_create_2026-03-02_part-02.csv',
+      'canva_bulk_create_2026-03-02_part-03.csv'
+    ]);
+    expect(files.map(file => file.rows.length)).toEqual([2, 2, 1]);
+  });
+
+  test('numbers duplicate filenames with a _copyN suffix', () => {
+    const rows = [
+      makeRow(1, { categories: ['Dinner'] }),
+      makeRow(2, { categories: ['Dinner!'] }),
+      makeRow(3, { categories: ['Dessert'] })
+    ];
+    const files = buildExportFiles(rows, columns, { ...options, splitMode: 'category', filenamePattern: '{profile}_{date}' });
+    expect(files.map(file => file.filename)).toEqual([
+      'canva_bulk_create_2026-03-02.csv',
+      'canva_bulk_create_2026-03-02_copy2.csv',
+      'canva_bulk_create_2026-03-02_copy3.csv'
+    ]);
+  });
+
+  test('keeps a date-like ending when numbering duplicates', () => {
+    const rows = [makeRow(1, { categories: ['A'] }), makeRow(2, { categories: ['B'] })];
+    const files = buildExportFiles(rows, columns, { ...options, splitMode: 'category', filenamePattern: 'pins_{date}' });
+    expect(files.map(file => file.filename)).toEqual(['pins_2026-03-02.csv', 'pins_2026-03-02_copy2.csv']);
+  });
+});
+
+describe('Pinterest export', () => {
+  const pinterestColumns = exportColumnsFor('pinterest');
+  const valueOf = (row, header) => pinterestColumns.find(column => column.header === header).value(row);
+
+  test('shortens titles to Pinterest\'s limit', () => {
+    const row = makeRow(1, { optimizedTitle: 'word '.repeat(30).trim() });
+    expect(valueOf(row, 'Title').length).toBeLessThanOrEqual(100);
+    expect(valueOf(row, 'Title').endsWith('…')).toBe(true);
+  });
+
+  test('never cuts the link and flags one that is too long', () => {
+    const permalink = `https://example.com/${'a'.repeat(PINTEREST_MAX_LINK_LENGTH)}`;
+    const row = makeRow(1, { permalink });
+    expect(valueOf(row, 'Link')).toBe(permalink);
+    expect(pinterestLinkTooLong(row)).toBe(true);
+    expect(pinterestLinkTooLong(makeRow(2))).toBe(false);
+  });
+
+  test('warns about rows and files Pinterest would reject', () => {
+    const settings = { ...DEFAULT_PINTEREST_SETTINGS, categoryBoards: { Dinner: 'Recipes/Dinner' } };
+    const rows = [
+      makeRow(1),
+      makeRow(2, { categories: ['Dessert'], imageUrl: '' }),
+      makeRow(3, { permalink: `https://example.com/${'a'.repeat(PINTEREST_MAX_LINK_LENGTH)}` })
+    ];
+    const files = [{ filename: 'pins.csv', rows: Array(PINTEREST_MAX_ROWS + 1).fill(rows[0]) }];
+
+    expect(pinterestExportWarnings(rows, files, settings)).toEqual([
+      'Warning: 1 rows have no Pinterest board. Set a default board or map their categories.',
+      'Warning: 1 rows have no Media URL and will be rejected by Pinterest.',
+      `Warning: 1 rows have a link over ${PINTEREST_MAX_LINK_LENGTH} characters and will be rejected by Pinterest. Shorten their UTM parameters or URL rewrite.`,
+      `Warning: Pinterest accepts up to ${PINTEREST_MAX_ROWS} pins per file; pins.csv has ${PINTEREST_MAX_ROWS + 1}. Split into chunks of ${PINTEREST_MAX_ROWS}.`
+    ]);
+    expect(pinterestExportWarnings([makeRow(1)], [{ filename: 'pins.csv', rows: [makeRow(1)] }], settings)).toEqual([]);
+  });
+});
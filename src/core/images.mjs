@@ -0,0 +1,224 @@
+// Image size selection, fallbacks and reachability tests
+
+// Where a row's image came from; the fallbacks only run when a post has no featured image
+export const IMAGE_SOURCES = {
+  featured: 'Featured image',
+  plugin_field: 'Plugin image field',
+  content_image: 'First image in content',
+  og_image: 'Yoast og:image',
+  attached_media: 'First attached image',
+  placeholder: 'Placeholder image',
+  csv_import: 'Imported CSV'
+};
+
+// Fallback strategies, tried in this order unless reordered
+export const DEFAULT_IMAGE_FALLBACK = {
+  order: [
+    { id: 'content_image', enabled: true },
+    { id: 'og_image', enabled: true },
+    { id: 'attached_media', enabled: true },
+    { id: 'placeholder', enabled: false }
+  ],
+  placeholderUrl: ''
+};
+
+// First <img> in rendered HTML, preferring lazy-load attributes over a placeholder src
+export const firstContentImage = (html) => {
+  const tag = (html || '').match(/<img\b[^>]*>/i)?.[0];
+  if (!tag) return null;
+  const src = ['data-lazy-src', 'data-src', 'src']
+    .map(attribute => tag.match(new RegExp(`\\s${attribute}=["']([^"']+)["']`, 'i'))?.[1])
+    .find(value => value && !value.startsWith('data:'));
+  return src ? src.replace(/&amp;/g, '&') : null;
+};
+
+export const absoluteUrl = (url, cleanDomain) => (url && !url.startsWith('http') ? `https://${cleanDomain}${url}` : url);
+
+// Image sizes from a media item, keyed by size name, with dimensions and file size
+export const mediaImageSizes = (media, cleanDomain) => {
+  const imageSizes = {};
+  const mediaDetails = media?.media_details || {};
+  Object.entries(mediaDetails.sizes || {}).forEach(([name, size]) => {
+    if (size?.source_url) {
+      imageSizes[name] = {
+        url: absoluteUrl(size.source_url, cleanDomain),
+        width: size.width,
+        height: size.height,
+        filesize: size.filesize || null
+      };
+    }
+  });
+  // The original upload isn't always listed among the sizes
+  if (media?.source_url && mediaDetails.width) {
+    imageSizes.full = {
+      ...imageSizes.full,
+      url: imageSizes.full?.url || absoluteUrl(media.source_url, cleanDomain),
+      width: imageSizes.full?.width || mediaDetails.width,
+      height: imageSizes.full?.height || mediaDetails.height,
+      filesize: imageSizes.full?.filesize || mediaDetails.filesize || null
+    };
+  }
+  return imageSizes;
+};
+
+// Image sizes every WordPress install registers
+export const DEFAULT_IMAGE_SIZES = ['thumbnail', 'medium', 'medium_large', 'large', 'full'];
+
+// Pinterest's recommended pin shape is 2:3 (width / height)
+const PIN_ASPECT_RATIO = 2 / 3;
+
+// Which image size goes into the Image column unless a row overrides it
+export const DEFAULT_IMAGE_RULE = { preferredSize: 'large', minWidth: 1000 };
+
+// Common aspect ratios shown by name when an image is close to one
+const NAMED_ASPECT_RATIOS = [
+  ['1:1', 1], ['2:3', 2 / 3], ['3:4', 3 / 4], ['4:5', 4 / 5], ['9:16', 9 / 16],
+  ['3:2', 3 / 2], ['4:3', 4 / 3], ['16:9', 16 / 9], ['1:2', 1 / 2]
+];
+
+export const aspectRatioLabel = (width, height) => {
+  const ratio = width / height;
+  const named = NAMED_ASPECT_RATIOS.find(([, value]) => Math.abs(ratio - value) / value < 0.02);
+  return named ? named[0] : `${ratio.toFixed(2)}:1`;
+};
+
+export const formatBytes = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Pick the size the rule selects: the preferred size if it's wide enough, otherwise the
+// smallest size that meets the minimum width, otherwise the widest size available
+export const pickImageSize = (imageSizes, rule) => {
+  const entries = Object.entries(imageSizes).filter(([, size]) => size.url);
+  if (entries.length === 0) return null;
+
+  const preferred = imageSizes[rule.preferredSize];
+  if (preferred?.url && (!preferred.width || preferred.width >= rule.minWidth)) {
+    return rule.preferredSize;
+  }
+
+  const wideEnough = entries
+    .filter(([, size]) => size.width >= rule.minWidth)
+    .sort(([, a], [, b]) => a.width - b.width);
+  if (wideEnough.length > 0) return wideEnough[0][0];
+
+  return entries.sort(([, a], [, b]) => (b.width || 0) - (a.width || 0))[0][0];
+};
+
+// Set the Image column URL from the row's override or the image rule
+export const applyImageRule = (post, rule) => {
+  const sizes = post.imageSizes || {};
+  const sizeName = post.imageOverride && sizes[post.imageOverride] ? post.imageOverride : pickImageSize(sizes, rule);
+  const imageUrl = sizeName ? sizes[sizeName].url : (post.featuredImageUrl ?? post.imageUrl ?? null);
+
+  if (imageUrl === post.imageUrl && sizeName === (post.imageSize ?? null)) return post;
+  return {
+    ...post,
+    imageUrl,
+    imageSize: sizeName,
+    // A different file needs testing again
+    imageStatus: imageUrl === post.imageUrl ? post.imageStatus : 'pending',
+    imageError: imageUrl === post.imageUrl ? post.imageError : null
+  };
+};
+
+// Reasons an image won't make a good 2:3 pin
+export const imageWarnings = (size, rule) => {
+  if (!size?.width || !size?.height) return [];
+  const warnings = [];
+  const ratio = size.width / size.height;
+
+  if (size.width < rule.minWidth) warnings.push(`too small (under ${rule.minWidth}px wide)`);
+  if (ratio >= 1) warnings.push(ratio > 1.05 ? 'landscape - crops badly as a 2:3 pin' : 'square - shorter than a 2:3 pin');
+  else if (ratio > PIN_ASPECT_RATIO * 1.2) warnings.push('wider than 2:3');
+  else if (ratio < 1 / 2.1) warnings.push('taller than 1:2.1 - Pinterest truncates it');
+
+  return warnings;
+};
+
+// Image checks run side by side, each with its own time limit
+export const DEFAULT_IMAGE_TEST_SETTINGS = { concurrency: 6, timeoutSeconds: 10 };
+
+// Paths a redirect lands on when an image sits behind a login
+const LOGIN_PATH_PATTERN = /wp-login\.php|\/(login|signin|sign-in|my-account|account)\b/i;
+
+const fileNameOf = (url) => {
+  try {
+    return new URL(url).pathname.split('/').pop().toLowerCase();
+  } catch (error) {
+    return '';
+  }
+};
+
+// Check whether an image URL can be fetched as an image; resolves { ok, reason }
+export const testImageUrl = async (imageUrl, timeoutMs) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    let response;
+    try {
+      response = await fetch(imageUrl, { method: 'GET', mode: 'cors', signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return { ok: false, reason: `timed out after ${Math.round(timeoutMs / 1000)}s` };
+      }
+      // A CORS failure and an unreachable host look the same to fetch(); an opaque request tells them apart
+      try {
+        await fetch(imageUrl, { mode: 'no-cors', signal: controller.signal });
+        return { ok: false, reason: 'CORS blocked (server answers but does not allow cross-origin reads)' };
+      } catch (opaqueError) {
+        return opaqueError.name === 'AbortError'
+          ? { ok: false, reason: `timed out after ${Math.round(timeoutMs / 1000)}s` }
+          : { ok: false, reason: 'unreachable (DNS, TLS or network error)' };
+      }
+    }
+
+    // Only the headers are needed; don't download the whole image
+    response.body?.cancel().catch(() => {});
+
+    const contentType = response.headers.get('content-type') || '';
+    if (response.redirected && LOGIN_PATH_PATTERN.test(new URL(response.url).pathname)) {
+      return { ok: false, reason: 'redirects to a login page' };
+    }
+    if (response.status === 403) {
+      return { ok: false, reason: 'HTTP 403 Forbidden (likely hotlink protection)' };
+    }
+    if (!response.ok) {
+      return { ok: false, reason: `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}` };
+    }
+    if (!contentType.startsWith('image/')) {
+      return { ok: false, reason: `not an image (content type ${contentType.split(';')[0] || 'missing'})` };
+    }
+    // Hotlink protection often swaps in a placeholder image from elsewhere
+    if (response.redirected && fileNameOf(response.url) !== fileNameOf(imageUrl)) {
+      return { ok: false, reason: `hotlink protection (redirected to ${response.url})` };
+    }
+    return { ok: true, reason: null };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Run worker over items with at most `limit` in flight at once
+export const runWithConcurrency = async (items, limit, worker) => {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+};
+
+// Test every row that has an image, up to settings.concurrency at once.
+// onResult(post, { ok, reason }) is called as each test finishes.
+export const testPostImages = async (posts, settings, onResult) => {
+  const timeoutMs = settings.timeoutSeconds * 1000;
+  await runWithConcurrency(posts.filter(post => post.imageUrl), settings.concurrency, async (post) => {
+    onResult(post, await testImageUrl(post.imageUrl, timeoutMs));
+  });
+};
@@ -0,0 +1,309 @@
+// Title optimization and pin details in batches. The model client is passed in, so the same code
+// runs against the API server in the browser, against a provider directly from the CLI, or offline.
+
+import { clampText, normalizeTitle } from './text.mjs';
+import { DEFAULT_MAX_CHARS, VARIANT_ANGLES } from './prompts.mjs';
+import { EMPTY_USAGE, addUsage, usageCost } from './usage.mjs';
+
+// Providers the optimizer can use. 'rules' runs locally; the others go through server/providers.mjs,
+// which falls back to the server's own key and endpoint when none is given here.
+export const AI_PROVIDERS = [
+  {
+    id: 'anthropic',
+    label: 'Anthropic (Claude)',
+    models: ['claude-sonnet-4-20250514', 'claude-opus-4-20250514', 'claude-3-5-haiku-20241022'],
+    endpointPlaceholder: 'https://api.anthropic.com/v1/messages',
+    keyHint: 'Leave blank to use CLAUDE_API_KEY from the server'
+  },
+  {
+    id: 'openai',
+    label: 'OpenAI-compatible (OpenAI, Ollama, LM Studio, vLLM)',
+    models: ['gpt-4o-mini', 'gpt-4o', 'llama3.1', 'qwen2.5', 'mistral'],
+    endpointPlaceholder: 'http://localhost:11434/v1/chat/completions',
+    keyHint: 'Leave blank for local servers or to use OPENAI_API_KEY from the server'
+  },
+  {
+    id: 'rules',
+    label: 'Rule-based (offline, no AI)',
+    models: []
+  }
+];
+
+// Provider picked in the app, with endpoint and key per provider.
+// Keys are never saved; blank values use the server's defaults.
+export const DEFAULT_PROVIDER_SETTINGS = {
+  provider: 'anthropic',
+  anthropic: { endpoint: '', apiKey: '' },
+  openai: { endpoint: '', apiKey: '' }
+};
+
+// Client for the bundled API server (server/index.mjs), which holds the provider keys.
+// settings are the prompt settings: { promptTemplate, brand, audience, maxChars, model, maxTokens }
+// plus the provider: { provider, endpoint, apiKey }
+export const createApiClient = (baseUrl, settings) => {
+  const providerSettings = {
+    provider: settings.provider,
+    endpoint: settings.endpoint || undefined,
+    apiKey: settings.apiKey || undefined
+  };
+
+
+  // Request optimized titles; resolves { variants: string[][], angles: string[], usage }
+  const optimizeTitles = async (titles, variants = 1) => {
+    try {
+      const response = await fetch(`${baseUrl}/api/optimize-titles`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          titles,
+          variants,
+          settings: {
+            template: settings.promptTemplate,
+            brand: settings.brand,
+            audience: settings.audience,
+            maxChars: settings.maxChars,
+            model: settings.model,
+            // Left out when blank so the server scales its default by the variant count
+            maxTokens: settings.maxTokens || undefined,
+            ...providerSettings
+          }
+        })
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || `API call failed: ${response.status}`);
+      }
+
+      if (!Array.isArray(data.variants) || data.variants.length !== titles.length ||
+        !data.variants.every(list => Array.isArray(list) && list.length > 0 && list.every(text => typeof text === 'string' && text.trim()))) {
+        throw new Error('Invalid response format from AI');
+      }
+
+      return { variants: data.variants, angles: data.angles || [], usage: data.usage || EMPTY_USAGE };
+
+    } catch (error) {
+      console.error('Title optimization API error:', error);
+      throw error;
+    }
+  };
+
+  // Request descriptions, alt text and keywords; resolves { details: one object per item, usage }
+  const generatePinDetails = async (items, fields) => {
+    try {
+      const response = await fetch(`${baseUrl}/api/pin-details`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ items, fields, settings: { model: settings.model, ...providerSettings } })
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || `API call failed: ${response.status}`);
+      }
+
+      if (!Array.isArray(data.details) || data.details.length !== items.length) {
+        throw new Error('Invalid response format from AI');
+      }
+
+      return { details: data.details, usage: data.usage || EMPTY_USAGE };
+
+    } catch (error) {
+      console.error('Pin details API error:', error);
+      throw error;
+    }
+  };
+
+  return { optimizeTitles, generatePinDetails };
+};
+
+const QUESTION_START = /^(how|what|why|when|where|which|who|can|should|is|are|do|does)\b/i;
+
+// Deterministic rewrites per variant angle; none of them add facts (numbers, times) the title doesn't have
+const RULE_TEMPLATES = {
+  listicle: (title) => (/^\d/.test(title) ? title : `${title}: Ideas & Tips to Try`),
+  question: (title) => (/^how to\b/i.test(title)
+    ? `How Do You ${title.slice(7)}?`
+    : QUESTION_START.test(title) ? `${title}?` : `Looking for ${title}? Start Here`),
+  benefit: (title) => `${title}: Everything You Need to Know`,
+  'how-to': (title) => (/^how to\b/i.test(title) ? title : `How to Get the Most From ${title}`),
+  curiosity: (title) => `${title}: What Most People Miss`
+};
+
+const KEYWORD_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'best', 'by', 'can', 'do', 'for', 'from', 'how', 'in', 'into',
+  'is', 'it', 'its', 'my', 'of', 'on', 'or', 'our', 'that', 'the', 'this', 'to', 'what', 'when', 'why',
+  'with', 'you', 'your'
+]);
+
+// Rewrite one title for an angle, falling back to the plain title when the rewrite is too long
+const ruleBasedTitle = (title, angle, settings) => {
+  const base = title.replace(/\s+/g, ' ').replace(/[\s.!?:;,]+$/, '').trim();
+  const maxChars = settings.maxChars || DEFAULT_MAX_CHARS;
+  const rewritten = RULE_TEMPLATES[angle](base);
+  const branded = settings.brand ? `${rewritten} | ${settings.brand}` : rewritten;
+  if (branded.length <= maxChars) return branded;
+  return rewritten.length <= maxChars ? rewritten : clampText(base, maxChars);
+};
+
+// Pin details built from the post itself: opening sentences, the title as alt text, title words as keywords
+const ruleBasedDetails = ({ title, content }, fields) => {
+  const details = {};
+  if (fields.includes('description')) {
+    const sentences = (content || '').match(/[^.!?]+[.!?]+/g) || [];
+    let description = `${title.replace(/[\s.!?]+$/, '')}.`;
+    for (const sentence of sentences) {
+      if (`${description} ${sentence.trim()}`.length > 500) break;
+      description = `${description} ${sentence.trim()}`;
+    }
+    details.description = description;
+  }
+  if (fields.includes('altText')) {
+    details.altText = clampText(`Pin graphic with the title "${title}"`, 125);
+  }
+  if (fields.includes('keywords')) {
+    const words = title.toLowerCase().match(/[\p{L}\p{N}'-]+/gu) || [];
+    details.keywords = [...new Set(words.filter(word => word.length > 2 && !KEYWORD_STOP_WORDS.has(word)))].slice(0, 10);
+  }
+  return details;
+};
+
+// Offline client that rewrites titles with fixed templates instead of a model: same input, same output.
+// settings: { brand, maxChars }
+export const createRuleBasedClient = (settings) => ({
+  optimizeTitles: async (titles, variants = 1) => {
+    // A single title uses the benefit rewrite, like an angle-free model reply
+    const angles = variants > 1 ? VARIANT_ANGLES.slice(0, variants) : ['benefit'];
+    return {
+      variants: titles.map(title => angles.map(angle => ruleBasedTitle(title, angle, settings))),
+      angles: variants > 1 ? angles : [],
+      usage: EMPTY_USAGE
+    };
+  },
+  generatePinDetails: async (items, fields) => ({
+    details: items.map(item => ruleBasedDetails(item, fields)),
+    usage: EMPTY_USAGE
+  })
+});
+
+// Model client for a provider; the CLI passes its own client for providers reached without the server
+export const createModelClient = (baseUrl, settings) => (settings.provider === 'rules'
+  ? createRuleBasedClient(settings)
+  : createApiClient(baseUrl, settings));
+
+// Optimize one batch of posts; resolves { changes: per row key, usage: tokens used }.
+// Failures are recorded on the posts (optimizeError) instead of being thrown.
+// options: { variantsPerPost, detailFields, rulesFor(post) -> title cleanup rules }
+export const optimizeBatch = async (batch, client, { variantsPerPost = 1, detailFields = [], rulesFor = () => undefined } = {}) => {
+  const changes = {};
+  let usage = EMPTY_USAGE;
+  batch.forEach(post => { changes[post.key] = { optimizeError: null }; });
+
+  try {
+    const result = await client.optimizeTitles(batch.map(post => post.title), variantsPerPost);
+    const { variants, angles } = result;
+    usage = addUsage(usage, result.usage);
+
+    // Every variant starts out kept
+    batch.forEach((post, index) => {
+      const rules = rulesFor(post);
+      const postVariants = variants[index].map(text => normalizeTitle(text, rules));
+      changes[post.key] = {
+        ...changes[post.key],
+        edited: false,
+        optimizedTitle: postVariants[0],
+        variants: postVariants.length > 1
+          ? postVariants.map((text, variantIndex) => ({ text, angle: angles[variantIndex] || '', keep: true }))
+          : undefined
+      };
+    });
+  } catch (error) {
+    console.error('Failed to optimize titles:', error);
+    batch.forEach(post => { changes[post.key].optimizeError = error.message; });
+  }
+
+  if (detailFields.length > 0) {
+    try {
+      const result = await client.generatePinDetails(
+        batch.map(post => ({ title: post.title, content: post.content || post.excerpt })),
+        detailFields
+      );
+      const { details } = result;
+      usage = addUsage(usage, result.usage);
+      batch.forEach((post, index) => {
+        changes[post.key] = { ...changes[post.key], ...details[index] };
+      });
+    } catch (error) {
+      console.error('Failed to generate pin details:', error);
+      batch.forEach(post => {
+        const titleError = changes[post.key].optimizeError;
+        changes[post.key].optimizeError = titleError
+          ? `${titleError}; pin details: ${error.message}`
+          : `pin details: ${error.message}`;
+      });
+    }
+  }
+
+  return { changes, usage };
+};
+
+// Merge optimizeBatch changes into the posts. keepEdited leaves hand-edited rows alone, for bulk runs:
+// a row edited while its batch was in flight keeps the edit.
+export const mergePostChanges = (posts, changes, { keepEdited = false } = {}) => posts.map(post => (
+  changes[post.key] && !(keepEdited && post.edited) ? { ...post, ...changes[post.key] } : post
+));
+
+// Optimize posts batch by batch, calling onBatch(changes, { done, total, usage }) after each one.
+// A failed batch doesn't stop the rest. With a budget (USD) and a known price per million tokens,
+// the run pauses before a batch whose estimated usage (estimateUsage(batch)) would go over it;
+// estimates are scaled up when earlier batches used more tokens than estimated. spent is what the
+// run used before this call (a resume or a row retry), so the budget covers the whole run.
+// Resolves { failedPosts, failedBatches, usage, requests, remaining: posts not yet sent }; usage is this call's.
+export const optimizePosts = async (posts, client, {
+  batchSize = 5,
+  budget = 0,
+  price = null,
+  spent = EMPTY_USAGE,
+  estimateUsage = () => EMPTY_USAGE,
+  ...options
+} = {}, onBatch = () => {}) => {
+  const failedBatches = [];
+  let failedPosts = 0;
+  let usage = EMPTY_USAGE;
+  let estimated = EMPTY_USAGE;
+  let requests = 0;
+  const scale = (actual, guessed) => (guessed > 0 ? Math.max(1, actual / guessed) : 1);
+
+  for (let i = 0; i < posts.length; i += batchSize) {
+    const batch = posts.slice(i, i + batchSize);
+    const estimate = estimateUsage(batch);
+    const projected = addUsage(addUsage(spent, usage), {
+      inputTokens: estimate.inputTokens * scale(usage.inputTokens, estimated.inputTokens),
+      outputTokens: estimate.outputTokens * scale(usage.outputTokens, estimated.outputTokens)
+    });
+    if (budget > 0 && price && usageCost(projected, price) > budget) {
+      return { failedPosts, failedBatches, usage, requests, remaining: posts.slice(i) };
+    }
+
+    const result = await optimizeBatch(batch, client, options);
+    const { changes } = result;
+    usage = addUsage(usage, result.usage);
+    estimated = addUsage(estimated, estimate);
+    requests += options.detailFields?.length > 0 ? 2 : 1;
+    onBatch(changes, { done: Math.min(i + batchSize, posts.length), total: posts.length, usage });
+
+    const failures = batch.filter(post => changes[post.key].optimizeError);
+    if (failures.length > 0) {
+      failedPosts += failures.length;
+      failedBatches.push(`Batch ${i / batchSize + 1}: ${changes[failures[0].key].optimizeError}`);
+    }
+  }
+
+  return { failedPosts, failedBatches, usage, requests, remaining: [] };
+};
@@ -0,0 +1,134 @@
+import { mergePostChanges, optimizePosts } from './optimize.mjs';
+import { EMPTY_USAGE } from './usage.mjs';
+import { makeRow } from '../test/fixtures.js';
+
+const makePosts = (count) => Array.from({ length: count }, (_, index) => makeRow(index + 1));
+
+// Model client that answers each title with "Better <title>" and reports tokensPerPost per post
+const makeClient = (tokensPerPost = { inputTokens: 0, outputTokens: 0 }) => ({
+  optimizeTitles: jest.fn(async (titles, variants = 1) => ({
+    variants: titles.map(title => Array.from({ length: variants }, () => `Better ${title}`)),
+    angles: [],
+    usage: {
+      inputTokens: tokensPerPost.inputTokens * titles.length,
+      outputTokens: tokensPerPost.outputTokens * titles.length
+    }
+  })),
+  generatePinDetails: jest.fn(async (items) => ({
+    details: items.map(() => ({ description: 'About the post' })),
+    usage: EMPTY_USAGE
+  }))
+});
+
+// $1 per million tokens either way, so costs are easy to read
+const price = { input: 1, output: 1 };
+
+describe('optimizePosts', () => {
+  test('optimizes every post batch by batch', async () => {
+    const client = makeClient();
+    const onBatch = jest.fn();
+
+    const result = await optimizePosts(makePosts(7), client, { batchSize: 3 }, onBatch);
+
+    expect(client.optimizeTitles).toHaveBeenCalledTimes(3);
+    expect(result).toEqual({ failedPosts: 0, failedBatches: [], usage: EMPTY_USAGE, requests: 3, remaining: [] });
+    expect(onBatch.mock.calls.map(([, progress]) => progress.done)).toEqual([3, 6, 7]);
+    expect(onBatch.mock.calls[0][0]['example.com:1']).toMatchObject({ optimizedTitle: 'Better Post 1', optimizeError: null });
+  });
+
+  test('records a failed batch on its posts and carries on', async () => {
+    const client = makeClient();
+    client.optimizeTitles.mockRejectedValueOnce(new Error('API call failed: 529 overloaded'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const onBatch = jest.fn();
+
+    const result = await optimizePosts(makePosts(4), client, { batchSize: 2 }, onBatch);
+
+    expect(result.failedPosts).toBe(2);
+    expect(result.failedBatches).toEqual(['Batch 1: API call failed: 529 overloaded']);
+    expect(onBatch.mock.calls[0][0]['example.com:1'].optimizeError).toBe('API call failed: 529 overloaded');
+    expect(onBatch.mock.calls[1][0]['example.com:3'].optimizedTitle).toBe('Better Post 3');
+    console.error.mockRestore();
+  });
+
+  test('counts two requests per batch with pin details', async () => {
+    const client = makeClient();
+    const result = await optimizePosts(makePosts(2), client, { batchSize: 5, detailFields: ['description'] });
+    expect(client.generatePinDetails).toHaveBeenCalledTimes(1);
+    expect(result.requests).toBe(2);
+  });
+
+  test('pauses before the batch that would go over the budget', async () => {
+    const client = makeClient({ inputTokens: 1000, outputTokens: 1000 });
+    // Each post is estimated at exactly what it uses: $0.002
+    const estimateUsage = (batch) => ({ inputTokens: 1000 * batch.length, outputTokens: 1000 * batch.length });
+    const posts = makePosts(6);
+
+    const result = await optimizePosts(posts, client, { batchSize: 2, budget: 0.009, price, estimateUsage });
+
+    expect(client.optimizeTitles).toHaveBeenCalledTimes(2);
+    expect(result.usage).toEqual({ inputTokens: 4000, outputTokens: 4000 });
+    expect(result.remaining).toEqual(posts.slice(4));
+  });
+
+  test('scales later estimates up when batches use more than estimated', async () => {
+    const client = makeClient({ inputTokens: 2000, outputTokens: 2000 });
+    // Estimated at half of what each post really uses
+    const estimateUsage = (batch) => ({ inputTokens: 1000 * batch.length, outputTokens: 1000 * batch.length });
+    const posts = makePosts(6);
+
+    const result = await optimizePosts(posts, client, { batchSize: 2, budget: 0.015, price, estimateUsage });
+
+    // $0.008 spent; the unscaled estimate would put the next batch at a total of $0.012 and send it
+    expect(client.optimizeTitles).toHaveBeenCalledTimes(1);
+    expect(result.remaining).toEqual(posts.slice(2));
+  });
+
+  test('counts what the run already spent toward the budget', async () => {
+    const client = makeClient({ inputTokens: 1000, outputTokens: 1000 });
+    const estimateUsage = (batch) => ({ inputTokens: 1000 * batch.length, outputTokens: 1000 * batch.length });
+    const posts = makePosts(4);
+    // A resume after $0.008 of a $0.009 budget: even one more batch of two would go over
+    const spent = { inputTokens: 4000, outputTokens: 4000 };
+
+    const resumed = await optimizePosts(posts, client, { batchSize: 2, budget: 0.009, price, spent, estimateUsage });
+
+    expect(client.optimizeTitles).not.toHaveBeenCalled();
+    expect(resumed.remaining).toEqual(posts);
+
+    // A one-post retry still fits: $0.008 + $0.002 stays within $0.010
+    const retried = await optimizePosts(posts.slice(0, 1), client, { budget: 0.01, price, spent, estimateUsage });
+    expect(retried.remaining).toEqual([]);
+    expect(retried.usage).toEqual({ inputTokens: 1000, outputTokens: 1000 });
+  });
+
+  test('ignores the budget when the price is unknown', async () => {
+    const client = makeClient({ inputTokens: 1000, outputTokens: 1000 });
+    const estimateUsage = (batch) => ({ inputTokens: 1000 * batch.length, outputTokens: 1000 * batch.length });
+
+    const result = await optimizePosts(makePosts(4), client, { batchSize: 2, budget: 0.001, price: null, estimateUsage });
+
+    expect(client.optimizeTitles).toHaveBeenCalledTimes(2);
+    expect(result.remaining).toEqual([]);
+  });
+});
+
+describe('mergePostChanges', () => {
+  const changes = {
+    'example.com:1': { optimizedTitle: 'Model title 1', edited: false },
+    'example.com:2': { optimizedTitle: 'Model title 2', edited: false }
+  };
+  const posts = [makeRow(1), makeRow(2, { optimizedTitle: 'Typed by hand', edited: true }), makeRow(3)];
+
+  test('keeps rows edited while their batch was in flight', () => {
+    const merged = mergePostChanges(posts, changes, { keepEdited: true });
+    expect(merged.map(post => post.optimizedTitle)).toEqual(['Model title 1', 'Typed by hand', 'Better post 3']);
+    expect(merged[1].edited).toBe(true);
+    expect(merged[2]).toBe(posts[2]);
+  });
+
+  test('replaces hand edits when asked to, as a row retry does', () => {
+    const merged = mergePostChanges(posts, changes);
+    expect(merged[1]).toMatchObject({ optimizedTitle: 'Model title 2', edited: false });
+  });
+});
@@ -0,0 +1,34 @@
+// Prompt defaults shared by the app, the CLI and the API server, so the two sides can't drift apart
+
+// When the client doesn't set max tokens, each title variant in a request gets this many reply tokens,
+// with DEFAULT_MAX_TOKENS as the least any request gets
+export const MAX_TOKENS_PER_TITLE = 200;
+export const DEFAULT_MAX_TOKENS = 1000;
+export const DEFAULT_MAX_CHARS = 100;
+
+// Ranges the API server accepts for max characters and max tokens
+export const MAX_CHARS_RANGE = { min: 10, max: 500 };
+export const MAX_TOKENS_RANGE = { min: 100, max: 64000 };
+
+// Max tokens for a request of titleCount titles with the given variants each
+export const defaultMaxTokens = (titleCount, variants = 1) => Math.min(
+  MAX_TOKENS_RANGE.max,
+  Math.max(DEFAULT_MAX_TOKENS, MAX_TOKENS_PER_TITLE * titleCount * variants)
+);
+
+// Angle used for each variant, in order, when more than one title is requested per post
+export const VARIANT_ANGLES = ['listicle', 'question', 'benefit', 'how-to', 'curiosity'];
+
+// Most title variants per post: one per angle
+export const MAX_VARIANTS = VARIANT_ANGLES.length;
+
+// Used when the client doesn't send its own template. Placeholders: {titles}, {brand}, {audience}, {max_chars}, {count}.
+// Lines whose placeholders are all empty are dropped, and the JSON response format is always appended.
+export const DEFAULT_TITLE_TEMPLATE = `Rewrite these blog post titles for Pinterest to maximize engagement and clicks. Pinterest users respond to emotional hooks, benefit-driven language, curiosity gaps, and actionable promises.
+
+Transform each title to be more Pinterest-friendly while staying truthful to the content. Keep each title under {max_chars} characters.
+Brand: {brand}
+Audience: {audience}
+
+Original titles:
+{titles}`;
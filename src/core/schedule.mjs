@@ -0,0 +1,137 @@
+// Publish scheduling: spreads export rows over days and time windows
+
+export const PUBLISH_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Time zones offered by the scheduler
+export const TIME_ZONES = Array.from(new Set([
+  PUBLISH_TIME_ZONE,
+  'UTC',
+  ...(typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [])
+]));
+
+export const DEFAULT_SCHEDULE_RULES = {
+  // YYYY-MM-DD; empty starts tomorrow
+  startDate: '',
+  pinsPerDay: 5,
+  timeWindows: '08:00-11:00, 19:00-22:00',
+  timeZone: PUBLISH_TIME_ZONE,
+  minDaysSameUrl: 7,
+  spreadCategories: true
+};
+
+// Export rows are one per kept variant, so a scheduled pin is a row key plus variant number
+export const scheduleRowId = (row) => `${row.key}#${row.variantNumber}`;
+
+const padTime = (value) => String(value).padStart(2, '0');
+
+// "08:00-11:00, 19:00-22:00" -> [{ start, end }] in minutes after midnight
+export const parseTimeWindows = (text) => {
+  const windows = text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = part.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    const start = match && Number(match[1]) * 60 + Number(match[2]);
+    const end = match && Number(match[3]) * 60 + Number(match[4]);
+    if (!match || end <= start || end > 24 * 60) {
+      throw new Error(`Invalid time window "${part}" (use HH:MM-HH:MM)`);
+    }
+    return { start, end };
+  });
+  if (windows.length === 0) throw new Error('Add at least one time window');
+  return windows;
+};
+
+// Wall-clock date and time of an instant in a time zone
+const zonedParts = (ms, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(ms));
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+};
+
+const zoneOffset = (ms, timeZone) => {
+  const parts = zonedParts(ms, timeZone);
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - ms;
+};
+
+// UTC instant (ISO) of a date plus minutes after midnight in a time zone
+export const zonedTimeToUtc = (date, minutes, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const wall = Date.UTC(year, month - 1, day, 0, minutes);
+  // Second pass settles instants near a DST change
+  const guess = wall - zoneOffset(wall, timeZone);
+  return new Date(wall - zoneOffset(guess, timeZone)).toISOString();
+};
+
+// Day (YYYY-MM-DD) and minutes after midnight of an instant in a time zone
+export const zonedDayAndTime = (iso, timeZone) => {
+  const parts = zonedParts(Date.parse(iso), timeZone);
+  return { day: `${parts.year}-${padTime(parts.month)}-${padTime(parts.day)}`, minutes: parts.hour * 60 + parts.minute };
+};
+
+export const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+
+export const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+
+export const formatMinutes = (minutes) => `${padTime(Math.floor(minutes / 60))}:${padTime(minutes % 60)}`;
+
+// Evenly spaced publish times across the day's windows
+const slotTimes = (windows, count) => {
+  const total = windows.reduce((sum, window) => sum + window.end - window.start, 0);
+  return Array.from({ length: count }, (_, index) => {
+    let offset = Math.floor(((index + 0.5) * total) / count);
+    const window = windows.find(candidate => {
+      if (offset < candidate.end - candidate.start) return true;
+      offset -= candidate.end - candidate.start;
+      return false;
+    });
+    return window.start + offset;
+  });
+};
+
+// Interleave rows round-robin by first category so no category bunches up
+const spreadByCategory = (rows) => {
+  const buckets = new Map();
+  rows.forEach(row => {
+    const category = row.categories?.[0] || '';
+    if (!buckets.has(category)) buckets.set(category, []);
+    buckets.get(category).push(row);
+  });
+  const lists = [...buckets.values()];
+  const ordered = [];
+  for (let index = 0; ordered.length < rows.length; index++) {
+    lists.forEach(list => { if (list[index]) ordered.push(list[index]); });
+  }
+  return ordered;
+};
+
+// Assign a publish instant to each export row: fill each day's slots in order, skipping rows
+// whose URL was pinned fewer than minDaysSameUrl days ago. Returns { [scheduleRowId]: ISO }.
+export const buildSchedule = (rows, rules) => {
+  // Without a slot per day, or with a NaN spacing, the day loop below would never finish
+  if (!Number.isInteger(rules.pinsPerDay) || rules.pinsPerDay < 1) {
+    throw new Error(`Pins per day must be a whole number of 1 or more (got ${JSON.stringify(rules.pinsPerDay)})`);
+  }
+  if (!Number.isInteger(rules.minDaysSameUrl) || rules.minDaysSameUrl < 0) {
+    throw new Error(`Days between pins of the same URL must be a whole number of 0 or more (got ${JSON.stringify(rules.minDaysSameUrl)})`);
+  }
+  const times = slotTimes(parseTimeWindows(rules.timeWindows), rules.pinsPerDay);
+  const queue = rules.spreadCategories ? spreadByCategory(rows) : [...rows];
+  const start = rules.startDate || addDays(zonedDayAndTime(new Date().toISOString(), rules.timeZone).day, 1);
+  const lastDayByUrl = {};
+  const schedule = {};
+
+  for (let dayIndex = 0; queue.length > 0; dayIndex++) {
+    const day = addDays(start, dayIndex);
+    for (const minutes of times) {
+      const index = queue.findIndex(row => (
+        lastDayByUrl[row.permalink] === undefined || dayIndex - lastDayByUrl[row.permalink] >= rules.minDaysSameUrl
+      ));
+      if (index === -1) break;
+      const [row] = queue.splice(index, 1);
+      lastDayByUrl[row.permalink] = dayIndex;
+      schedule[scheduleRowId(row)] = zonedTimeToUtc(day, minutes, rules.timeZone);
+    }
+  }
+
+  return schedule;
+};
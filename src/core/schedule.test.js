@@ -0,0 +1,63 @@
+import { DEFAULT_SCHEDULE_RULES, buildSchedule, scheduleRowId } from './schedule.mjs';
+import { makeRow } from '../test/fixtures.js';
+
+const rules = {
+  ...DEFAULT_SCHEDULE_RULES,
+  startDate: '2026-03-02',
+  pinsPerDay: 2,
+  timeWindows: '08:00-10:00',
+  timeZone: 'UTC',
+  minDaysSameUrl: 0,
+  spreadCategories: false
+};
+
+describe('buildSchedule', () => {
+  test('fills each day with evenly spaced slots in order', () => {
+    const rows = [1, 2, 3].map(id => makeRow(id));
+    expect(buildSchedule(rows, rules)).toEqual({
+      'example.com:1#1': '2026-03-02T08:30:00.000Z',
+      'example.com:2#1': '2026-03-02T09:30:00.000Z',
+      'example.com:3#1': '2026-03-03T08:30:00.000Z'
+    });
+  });
+
+  test('converts slots from the chosen time zone', () => {
+    const schedule = buildSchedule([makeRow(1)], { ...rules, pinsPerDay: 1, timeZone: 'America/New_York' });
+    // 09:00 in New York is 14:00 UTC before daylight saving time starts
+    expect(schedule['example.com:1#1']).toBe('2026-03-02T14:00:00.000Z');
+  });
+
+  test('waits minDaysSameUrl days before pinning the same URL again', () => {
+    const rows = [
+      makeRow(1),
+      makeRow(1, { variantNumber: 2 }),
+      makeRow(2)
+    ];
+    const schedule = buildSchedule(rows, { ...rules, minDaysSameUrl: 3 });
+    expect(schedule[scheduleRowId(rows[0])]).toBe('2026-03-02T08:30:00.000Z');
+    expect(schedule[scheduleRowId(rows[2])]).toBe('2026-03-02T09:30:00.000Z');
+    expect(schedule[scheduleRowId(rows[1])]).toBe('2026-03-05T08:30:00.000Z');
+  });
+
+  test('interleaves categories when spreading them', () => {
+    const rows = [
+      makeRow(1, { categories: ['Dinner'] }),
+      makeRow(2, { categories: ['Dinner'] }),
+      makeRow(3, { categories: ['Dessert'] })
+    ];
+    const schedule = buildSchedule(rows, { ...rules, spreadCategories: true });
+    expect(Object.keys(schedule)).toEqual(['example.com:1#1', 'example.com:3#1', 'example.com:2#1']);
+  });
+
+  test.each([0, -1, 1.5, NaN, '3'])('rejects %p pins per day instead of looping forever', (pinsPerDay) => {
+    expect(() => buildSchedule([makeRow(1)], { ...rules, pinsPerDay })).toThrow('Pins per day');
+  });
+
+  test.each([-1, 0.5, NaN])('rejects %p days between pins of the same URL', (minDaysSameUrl) => {
+    expect(() => buildSchedule([makeRow(1)], { ...rules, minDaysSameUrl })).toThrow('Days between pins');
+  });
+
+  test('rejects malformed time windows', () => {
+    expect(() => buildSchedule([makeRow(1)], { ...rules, timeWindows: '10:00-09:00' })).toThrow('Invalid time window');
+  });
+});
@@ -0,0 +1,125 @@
+// Title and text cleanup shared by the app and the CLI
+
+// Named HTML entities WordPress commonly emits in rendered fields
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  hellip: '…', ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”'
+};
+
+// Character for a numeric entity; code points past Unicode's range are left as written
+const decodeCodePoint = (match, codePoint) => (codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match);
+
+// Turn rendered WordPress HTML into plain text
+export const htmlToText = (html) => (html || '')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => decodeCodePoint(match, parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, dec) => decodeCodePoint(match, parseInt(dec, 10)))
+  .replace(/&([a-z]+);/gi, (match, name) => HTML_ENTITIES[name.toLowerCase()] ?? match)
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Title cleanup applied to original titles on fetch and to AI titles as they arrive.
+// Entities are always decoded, tags stripped and whitespace trimmed.
+export const DEFAULT_TEXT_RULES = {
+  smartQuotes: true,
+  removeEmoji: false,
+  // 'none', 'title' or 'sentence'
+  caseRule: 'none',
+  // { find, replace, regex } applied in order, case-insensitive
+  replacements: []
+};
+
+export const CASE_RULES = [
+  { value: 'none', label: 'Keep as is' },
+  { value: 'title', label: 'Title Case' },
+  { value: 'sentence', label: 'Sentence case' }
+];
+
+const SMART_QUOTES = {
+  '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'",
+  '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"'
+};
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Emoji_Modifier}|\p{Regional_Indicator}|\u200D|\uFE0F|\u20E3/gu;
+
+// Words Title Case leaves lowercase unless they start or end the title
+const TITLE_CASE_MINOR_WORDS = new Set([
+  'a', 'an', 'and', 'as', 'at', 'but', 'by', 'for', 'from', 'in', 'into', 'nor',
+  'of', 'on', 'or', 'so', 'the', 'to', 'up', 'via', 'vs', 'with', 'yet'
+]);
+
+// Acronyms (DIY) and brand casing (iPhone) survive case rules
+const hasDeliberateCase = (word) => /[A-Z]/.test(word.slice(1)) || /^[A-Z0-9]{2,}$/.test(word);
+
+const capitalize = (word) => word.replace(/\p{L}/u, letter => letter.toUpperCase());
+
+export const applyCaseRule = (text, caseRule) => {
+  // An all-caps title has no deliberate casing to keep
+  const keepCase = (word) => /\p{Ll}/u.test(text) && hasDeliberateCase(word);
+
+  if (caseRule === 'title') {
+    const words = text.split(' ');
+    return words.map((word, index) => {
+      if (keepCase(word)) return word;
+      const lower = word.toLowerCase();
+      const isEdge = index === 0 || index === words.length - 1 || /[:.!?]$/.test(words[index - 1]);
+      return !isEdge && TITLE_CASE_MINOR_WORDS.has(lower.replace(/[^a-z]/g, '')) ? lower : capitalize(lower);
+    }).join(' ');
+  }
+  if (caseRule === 'sentence') {
+    return text.split(' ').map((word, index, words) => {
+      if (keepCase(word)) return word;
+      const lower = word.toLowerCase();
+      return index === 0 || /[.!?]$/.test(words[index - 1]) ? capitalize(lower) : lower;
+    }).join(' ');
+  }
+  return text;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build the pattern for a find/replace rule; null when a regex rule doesn't compile
+export const replacementPattern = (rule) => {
+  try {
+    return new RegExp(rule.regex ? rule.find : escapeRegExp(rule.find), 'gi');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Run a title through the cleanup rules
+export const normalizeTitle = (text, rules = DEFAULT_TEXT_RULES) => {
+  let result = htmlToText(text);
+  if (rules.smartQuotes) {
+    result = result.replace(/[‘’‚‛′“”„‟″]/g, quote => SMART_QUOTES[quote]);
+  }
+  if (rules.removeEmoji) {
+    result = result.replace(EMOJI_PATTERN, '');
+  }
+  (rules.replacements || []).forEach(rule => {
+    const pattern = rule.find ? replacementPattern(rule) : null;
+    if (pattern) result = result.replace(pattern, rule.replace || '');
+  });
+  return applyCaseRule(result.replace(/\s+/g, ' ').trim(), rules.caseRule);
+};
+
+// Re-run the cleanup on a row's original, optimized and variant titles
+export const normalizePostTitles = (post, rules) => ({
+  ...post,
+  title: normalizeTitle(post.rawTitle ?? post.title, rules),
+  optimizedTitle: post.optimizedTitle ? normalizeTitle(post.optimizedTitle, rules) : post.optimizedTitle,
+  variants: post.variants && post.variants.map(variant => ({ ...variant, text: normalizeTitle(variant.text, rules) }))
+});
+
+// Trim text to a length limit without cutting a word in half
+export const clampText = (text, maxLength) => {
+  if (!maxLength || text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength * 0.8 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+};
+
+export const slugify = (text) => String(text).toLowerCase().normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
@@ -0,0 +1,43 @@
+import { DEFAULT_TEXT_RULES, normalizeTitle } from './text.mjs';
+
+describe('normalizeTitle', () => {
+  test('decodes entities, strips tags and collapses whitespace', () => {
+    expect(normalizeTitle('  <em>Quick</em>&nbsp;&amp;  Easy&#8230; ')).toBe('Quick & Easy…');
+  });
+
+  test('leaves numeric entities past the Unicode range as written', () => {
+    expect(normalizeTitle('Pie &#9999999999; &#x110000; &#x1F967;')).toBe('Pie &#9999999999; &#x110000; 🥧');
+  });
+
+  test('straightens smart quotes by default', () => {
+    expect(normalizeTitle('“Best” Mom’s Pie')).toBe('"Best" Mom\'s Pie');
+    expect(normalizeTitle('Mom’s Pie', { ...DEFAULT_TEXT_RULES, smartQuotes: false })).toBe('Mom’s Pie');
+  });
+
+  test('removes emoji when asked', () => {
+    expect(normalizeTitle('Pasta 🍝 Night 👨‍👩‍👧', { ...DEFAULT_TEXT_RULES, removeEmoji: true })).toBe('Pasta Night');
+  });
+
+  test('applies find/replace rules in order, skipping regexes that do not compile', () => {
+    const rules = {
+      ...DEFAULT_TEXT_RULES,
+      replacements: [
+        { find: ' | My Blog', replace: '' },
+        { find: '(', replace: '', regex: true },
+        { find: '\\b(\\d+) mins\\b', replace: '$1 Minutes', regex: true }
+      ]
+    };
+    expect(normalizeTitle('Soup in 20 MINS | My Blog', rules)).toBe('Soup in 20 Minutes');
+  });
+
+  test('title case keeps minor words, acronyms and brand casing', () => {
+    const rules = { ...DEFAULT_TEXT_RULES, caseRule: 'title' };
+    expect(normalizeTitle('the best DIY gifts for iPhone fans', rules)).toBe('The Best DIY Gifts for iPhone Fans');
+    expect(normalizeTitle('ALL CAPS TITLE OF THE DAY', rules)).toBe('All Caps Title of the Day');
+  });
+
+  test('sentence case capitalizes each sentence', () => {
+    const rules = { ...DEFAULT_TEXT_RULES, caseRule: 'sentence' };
+    expect(normalizeTitle('HOW TO BAKE BREAD. IT IS EASY', rules)).toBe('How to bake bread. It is easy');
+  });
+});
@@ -0,0 +1,92 @@
+// Token usage and cost: estimates before an optimization run, and the running total during one
+
+import { DEFAULT_MAX_CHARS } from './prompts.mjs';
+
+// USD per million tokens, from the providers' price lists; check them before relying on a cap.
+// Models missing here (local models, new releases) need a custom price for costs and budgets.
+export const MODEL_PRICES = {
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-opus-4-20250514': { input: 15, output: 75 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 }
+};
+
+// budget is the most one run may spend in USD (0 = no cap); blank prices use MODEL_PRICES
+export const DEFAULT_USAGE_SETTINGS = { budget: 0, inputPrice: '', outputPrice: '' };
+
+export const EMPTY_USAGE = { inputTokens: 0, outputTokens: 0 };
+
+export const addUsage = (total, usage) => ({
+  inputTokens: total.inputTokens + (usage?.inputTokens || 0),
+  outputTokens: total.outputTokens + (usage?.outputTokens || 0)
+});
+
+// Rough token count: about four characters per token for English text
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Fixed parts of every prompt (response format, angle list, pin detail instructions) and of every reply
+const TITLE_FORMAT_TOKENS = 120;
+const DETAIL_PROMPT_TOKENS = 250;
+const DETAIL_OUTPUT_TOKENS = { description: 110, altText: 30, keywords: 45 };
+// Same slice of post content the server sends per post
+const DETAIL_CONTENT_CHARS = 1500;
+
+// Estimated tokens for one optimize request (plus its pin details request).
+// settings: { promptTemplate, maxChars, variantsPerPost, detailFields }
+export const estimateBatchUsage = (batch, settings) => {
+  const variants = settings.variantsPerPost || 1;
+  const titles = batch.map((post, index) => `${index + 1}. ${post.title}`).join('\n');
+  // Each title comes back once per variant, at most maxChars long, quoted and comma-separated
+  const titleOutput = batch.length * variants * (Math.ceil((settings.maxChars || DEFAULT_MAX_CHARS) / 4) + 4);
+
+  const usage = {
+    inputTokens: estimateTokens(settings.promptTemplate) + estimateTokens(titles) + TITLE_FORMAT_TOKENS * (variants > 1 ? 2 : 1),
+    outputTokens: titleOutput
+  };
+
+  const detailFields = settings.detailFields || [];
+  if (detailFields.length === 0) return usage;
+  return addUsage(usage, {
+    inputTokens: DETAIL_PROMPT_TOKENS + batch.reduce((sum, post) => (
+      sum + estimateTokens(post.title) + estimateTokens((post.content || post.excerpt || '').slice(0, DETAIL_CONTENT_CHARS))
+    ), 0),
+    outputTokens: batch.length * detailFields.reduce((sum, field) => sum + (DETAIL_OUTPUT_TOKENS[field] || 0), 0)
+  });
+};
+
+// Estimated tokens and request count for a whole run, batch by batch
+export const estimateRunUsage = (posts, settings) => {
+  const batchSize = settings.batchSize || 5;
+  let usage = EMPTY_USAGE;
+  let requests = 0;
+  for (let i = 0; i < posts.length; i += batchSize) {
+    usage = addUsage(usage, estimateBatchUsage(posts.slice(i, i + batchSize), settings));
+    requests += (settings.detailFields || []).length > 0 ? 2 : 1;
+  }
+  return { ...usage, requests };
+};
+
+// Price per million tokens for a model: custom prices win, the rule-based optimizer is free,
+// and null means unknown
+export const priceFor = (provider, model, usageSettings = DEFAULT_USAGE_SETTINGS) => {
+  if (provider === 'rules') return { input: 0, output: 0 };
+  const input = parseFloat(usageSettings.inputPrice);
+  const output = parseFloat(usageSettings.outputPrice);
+  if (Number.isFinite(input) && Number.isFinite(output)) return { input, output };
+  return MODEL_PRICES[model] || null;
+};
+
+// Cost in USD of some usage, or null when the price is unknown
+export const usageCost = (usage, price) => (price
+  ? (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1000000
+  : null);
+
+// Small amounts keep enough decimals to tell runs apart
+export const formatCost = (cost) => {
+  if (cost === null || cost === undefined) return 'unknown';
+  if (cost === 0 || cost >= 1) return `$${cost.toFixed(2)}`;
+  return `$${cost.toFixed(cost < 0.01 ? 4 : 3)}`;
+};
+
+export const formatTokens = (count) => count.toLocaleString('en-US');
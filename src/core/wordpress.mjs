@@ -0,0 +1,334 @@
+// WordPress REST fetching and post extraction, shared by the app and the CLI
+
+import { htmlToText, normalizeTitle } from './text.mjs';
+import {
+  DEFAULT_IMAGE_RULE,
+  absoluteUrl,
+  applyImageRule,
+  firstContentImage,
+  mediaImageSizes,
+  runWithConcurrency
+} from './images.mjs';
+
+// Post content kept per post for the pin details prompt
+const MAX_CONTENT_CHARS = 2000;
+
+// Normalized domain used to key saved sessions and history ("https://Site.com/" -> "site.com")
+export const domainKey = (domain) => domain.trim().replace(/^https?:\/\//, '').replace(/\/+$/, '').toLowerCase();
+
+// Numeric post IDs collide across sites, so rows and processed IDs are keyed by domain plus ID
+export const postRowKey = (domain, id) => `${domain}:${id}`;
+
+export const siteHasCredentials = (site) => Boolean(site.username?.trim() && site.appPassword?.trim());
+
+// Standard posts, used until the site's content types have been loaded
+export const DEFAULT_CONTENT_TYPE = {
+  slug: 'post',
+  name: 'Posts',
+  restBase: 'posts',
+  restNamespace: 'wp/v2',
+  taxonomies: ['category', 'post_tag']
+};
+
+// Post filters sent with every posts request; empty values are left out
+export const DEFAULT_FILTERS = {
+  categories: [],
+  tags: [],
+  author: '',
+  after: '',
+  before: '',
+  search: '',
+  orderby: 'date',
+  order: 'desc',
+  statuses: ['publish']
+};
+
+// Types returned by /wp/v2/types that never make sense as pins
+const INTERNAL_POST_TYPES = [
+  'attachment', 'nav_menu_item', 'wp_block', 'wp_template', 'wp_template_part',
+  'wp_navigation', 'wp_global_styles', 'wp_font_family', 'wp_font_face'
+];
+
+// Image URL fields that plugins and themes commonly add to every REST item
+const GENERIC_IMAGE_FIELDS = ['jetpack_featured_media_url', 'featured_image_url', 'featured_image_src', 'fimg_url'];
+
+// Host without "www.", used to match imported URLs to sites
+export const hostKey = (host) => host.toLowerCase().replace(/^www\./, '');
+
+// Comparable form of a post URL: host and path, ignoring scheme, www, query, hash and trailing slash
+export const postUrlKey = (url) => {
+  try {
+    const parsed = new URL(url);
+    return `${hostKey(parsed.hostname)}${parsed.pathname.replace(/\/+$/, '')}`;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Last path segment of a pretty permalink, which is the post slug
+export const slugFromUrl = (url) => {
+  try {
+    const segment = new URL(url).pathname.split('/').filter(Boolean).pop();
+    return segment ? decodeURIComponent(segment).toLowerCase() : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Helper function to validate domain
+export const validateDomain = (domain) => {
+  const domainRegex = /^[a-zA-Z0-9][a-zA-Z0-9-]{1,61}[a-zA-Z0-9]\.[a-zA-Z]{2,}$/;
+  return domainRegex.test(domain.replace(/^https?:\/\//, ''));
+};
+
+// Request options for WordPress REST calls, adding Basic auth when the site has credentials
+export const wpRequestOptions = (signal, site) => {
+  const options = { signal };
+  if (site && siteHasCredentials(site)) {
+    // Encode as UTF-8 first so non-Latin usernames survive btoa
+    const bytes = new TextEncoder().encode(`${site.username.trim()}:${site.appPassword.trim()}`);
+    const token = btoa(String.fromCharCode(...bytes));
+    options.headers = { Authorization: `Basic ${token}` };
+  }
+  return options;
+};
+
+// Extract the fields we need from a WordPress REST post, picking the image size by imageRule
+export const extractPostData = (post, site, imageRule = DEFAULT_IMAGE_RULE) => {
+  const cleanDomain = site.domain;
+  // Every type, WooCommerce products included, is fetched from wp/v2, where the image is the featured media
+  const media = post._embedded?.['wp:featuredmedia']?.[0];
+  // Try alternative fields of the featured media if the main one is not available
+  let imageUrl = media?.source_url || media?.guid?.rendered || media?.media_details?.sizes?.full?.source_url || null;
+  let imageSource = imageUrl ? 'featured' : null;
+
+  // Fall back to image fields added by plugins such as Jetpack
+  if (!imageUrl) {
+    const field = GENERIC_IMAGE_FIELDS.find(name => typeof post[name] === 'string' && post[name]);
+    imageUrl = field ? post[field] : null;
+    imageSource = imageUrl ? 'plugin_field' : null;
+  }
+
+  // If we have a relative URL, make it absolute
+  imageUrl = absoluteUrl(imageUrl, cleanDomain) || null;
+
+  // Embedded terms arrive as one array per taxonomy
+  const terms = (post._embedded?.['wp:term'] || []).flat();
+  const termNames = (taxonomies) => terms
+    .filter(term => taxonomies.includes(term.taxonomy))
+    .map(term => htmlToText(term.name));
+
+  return applyImageRule({
+    id: post.id,
+    key: postRowKey(site.domain, post.id),
+    site: site.name,
+    domain: site.domain,
+    postType: post.type || site.contentType.slug,
+    status: post.status || 'publish',
+    // Some content types have no title support or use "name" (WooCommerce)
+    rawTitle: post.title?.rendered || post.name || '',
+    title: normalizeTitle(post.title?.rendered || post.name || '', site.textRules),
+    permalink: post.link || post.permalink,
+    // The URL written to the Image column is picked from imageSizes by the image rule
+    featuredImageUrl: imageUrl,
+    imageUrl: imageUrl,
+    imageSource,
+    imageStatus: 'pending',
+    excerpt: htmlToText(post.excerpt?.rendered || post.short_description || ''),
+    content: htmlToText(post.content?.rendered || post.description || '').slice(0, MAX_CONTENT_CHARS),
+    date: post.date || '',
+    author: post._embedded?.author?.[0]?.name || '',
+    categories: termNames(['category', 'product_cat']),
+    tags: termNames(['post_tag', 'product_tag']),
+    imageSizes: mediaImageSizes(media, cleanDomain),
+    seo: {
+      title: htmlToText(post.yoast_head_json?.title || post.meta?.rank_math_title || post.rank_math_title || ''),
+      description: htmlToText(post.yoast_head_json?.description || post.meta?.rank_math_description || post.rank_math_description || '')
+    },
+    acf: post.acf && !Array.isArray(post.acf) ? post.acf : {}
+  }, imageRule);
+};
+
+// Try one fallback strategy for a post without a featured image; resolves { url, imageSizes } or null
+export const findFallbackImage = async (strategy, post, site, signal) => {
+  const cleanDomain = site.domain;
+  switch (strategy) {
+    case 'content_image': {
+      const url = firstContentImage(post.content?.rendered || post.description);
+      return url ? { url: absoluteUrl(url, cleanDomain), imageSizes: {} } : null;
+    }
+    case 'og_image': {
+      const url = post.yoast_head_json?.og_image?.[0]?.url;
+      return url ? { url: absoluteUrl(url, cleanDomain), imageSizes: {} } : null;
+    }
+    case 'attached_media': {
+      const url = `https://${cleanDomain}/wp-json/wp/v2/media?parent=${post.id}&media_type=image&per_page=1&orderby=id&order=asc`;
+      try {
+        const response = await fetch(url, wpRequestOptions(signal, site));
+        const data = response.ok ? await response.json() : [];
+        const media = Array.isArray(data) ? data[0] : null;
+        return media?.source_url
+          ? { url: absoluteUrl(media.source_url, cleanDomain), imageSizes: mediaImageSizes(media, cleanDomain) }
+          : null;
+      } catch (error) {
+        // A cancelled fetch stops everything; any other failure just moves on to the next strategy
+        if (error.name === 'AbortError') throw error;
+        return null;
+      }
+    }
+    case 'placeholder': {
+      const url = site.imageFallback.placeholderUrl.trim();
+      return url ? { url, imageSizes: {} } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Extract a page of posts, filling in missing images from the enabled fallback strategies in order
+export const extractPosts = async (data, site, imageRule = DEFAULT_IMAGE_RULE, signal) => {
+  const extracted = data.map(post => extractPostData(post, site, imageRule));
+  const strategies = site.imageFallback.order.filter(strategy => strategy.enabled).map(strategy => strategy.id);
+  const missing = extracted.map((post, index) => index).filter(index => !extracted[index].imageUrl);
+
+  await runWithConcurrency(missing, 4, async (index) => {
+    for (const strategy of strategies) {
+      const found = await findFallbackImage(strategy, data[index], site, signal);
+      if (found) {
+        extracted[index] = applyImageRule({
+          ...extracted[index],
+          featuredImageUrl: found.url,
+          imageSizes: found.imageSizes,
+          imageSource: strategy
+        }, imageRule);
+        return;
+      }
+    }
+  });
+
+  return extracted;
+};
+
+
+// Fetch one page of posts and read the pagination headers
+export const fetchPostsPage = async (url, signal, site) => {
+  const response = await fetch(url, wpRequestOptions(signal, site));
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+
+  if (!Array.isArray(data)) {
+    throw new Error('Invalid response format from WordPress API');
+  }
+
+  return {
+    data,
+    total: parseInt(response.headers.get('X-WP-Total'), 10) || null,
+    totalPages: parseInt(response.headers.get('X-WP-TotalPages'), 10) || null
+  };
+};
+
+// Build a site's posts endpoint URL with pagination and the site's filters
+export const buildPostsUrl = (site, pagination, perPage) => {
+  const params = new URLSearchParams({ per_page: perPage, ...pagination });
+  const { restNamespace, restBase, taxonomies } = site.contentType;
+  const { filters } = site;
+
+  // Only send taxonomy filters the selected type actually supports
+  if (filters.categories.length > 0 && taxonomies.includes('category')) params.set('categories', filters.categories.join(','));
+  if (filters.tags.length > 0 && taxonomies.includes('post_tag')) params.set('tags', filters.tags.join(','));
+  if (filters.author) params.set('author', filters.author);
+  if (filters.after) params.set('after', `${filters.after}T00:00:00`);
+  if (filters.before) params.set('before', `${filters.before}T23:59:59`);
+  if (filters.search.trim()) params.set('search', filters.search.trim());
+  // WordPress rejects orderby=relevance without a search term
+  if (filters.orderby && (filters.orderby !== 'relevance' || filters.search.trim())) {
+    params.set('orderby', filters.orderby);
+  }
+  if (filters.order) params.set('order', filters.order);
+  // Non-public statuses are only visible to authenticated users
+  if (siteHasCredentials(site) && filters.statuses.length > 0) params.set('status', filters.statuses.join(','));
+
+  return `https://${site.domain}/wp-json/${restNamespace}/${restBase}?_embed&${params.toString()}`;
+};
+
+// Fetch every item from a paginated taxonomy/users endpoint
+export const fetchAllItems = async (baseUrl, site) => {
+  const items = [];
+  let page = 1;
+  let totalPages = 1;
+
+  while (page <= totalPages) {
+    const { data, totalPages: pages } = await fetchPostsPage(`${baseUrl}${baseUrl.includes('?') ? '&' : '?'}per_page=100&page=${page}`, undefined, site);
+    items.push(...data);
+    totalPages = pages || 1;
+    page++;
+  }
+
+  return items;
+};
+
+// Fetch the site's public content types from /wp/v2/types
+export const fetchContentTypes = async (base, site) => {
+  const response = await fetch(`${base}/types`, wpRequestOptions(undefined, site));
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Invalid response format from WordPress API');
+  }
+
+  return Object.values(data)
+    .filter(type => type.rest_base && !INTERNAL_POST_TYPES.includes(type.slug))
+    .map(type => ({
+      slug: type.slug,
+      name: type.name,
+      restBase: type.rest_base,
+      restNamespace: type.rest_namespace || 'wp/v2',
+      taxonomies: type.taxonomies || []
+    }));
+};
+
+
+// Walk every page of one site. onPage(newPosts, { page, totalPages, total }) runs after each page;
+// seenKeys is updated in place so several sites can share it. Resolves { failedPages, totalPages }.
+export const fetchSitePages = async (site, { signal, seenKeys = new Set(), perPage, imageRule, onPage = () => {} }) => {
+  const failedPages = [];
+  let totalPages = null;
+  let page = 1;
+
+  while (totalPages === null || page <= totalPages) {
+    const url = buildPostsUrl(site, { page }, perPage);
+
+    try {
+      const result = await fetchPostsPage(url, signal, site);
+      totalPages = result.totalPages || totalPages || 1;
+
+      const newPosts = (await extractPosts(result.data, site, imageRule, signal))
+        .filter(post => !seenKeys.has(post.key));
+      newPosts.forEach(post => seenKeys.add(post.key));
+
+      onPage(newPosts, { page, totalPages, total: result.total });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+
+      // Without the first page we don't know how many pages exist, so stop there
+      if (totalPages === null) throw error;
+
+      // Keep what we have and carry on with the remaining pages
+      failedPages.push(`Page ${page}: ${error.message}`);
+      onPage([], { page, totalPages, total: null });
+    }
+
+    page++;
+  }
+
+  return { failedPages, totalPages };
+};
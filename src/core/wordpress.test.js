@@ -0,0 +1,141 @@
+import {
+  DEFAULT_CONTENT_TYPE,
+  DEFAULT_FILTERS,
+  buildPostsUrl,
+  extractPostData,
+  extractPosts,
+  fetchSitePages
+} from './wordpress.mjs';
+import { jsonResponse, makePost, makeSite } from '../test/fixtures.js';
+
+describe('buildPostsUrl', () => {
+  test('builds the posts endpoint with pagination and default ordering', () => {
+    const url = new URL(buildPostsUrl(makeSite(), { page: 2 }, 20));
+    expect(url.origin + url.pathname).toBe('https://example.com/wp-json/wp/v2/posts');
+    expect(url.searchParams.has('_embed')).toBe(true);
+    expect(url.searchParams.get('per_page')).toBe('20');
+    expect(url.searchParams.get('page')).toBe('2');
+    expect(url.searchParams.get('orderby')).toBe('date');
+    expect(url.searchParams.has('status')).toBe(false);
+  });
+
+  test('only sends taxonomy filters the content type supports', () => {
+    const filters = { ...DEFAULT_FILTERS, categories: [3, 4], tags: [7] };
+    const posts = new URL(buildPostsUrl(makeSite({ filters }), {}, 10));
+    expect(posts.searchParams.get('categories')).toBe('3,4');
+    expect(posts.searchParams.get('tags')).toBe('7');
+
+    const pageType = { ...DEFAULT_CONTENT_TYPE, slug: 'page', restBase: 'pages', taxonomies: [] };
+    const pages = new URL(buildPostsUrl(makeSite({ filters, contentType: pageType }), {}, 10));
+    expect(pages.pathname).toBe('/wp-json/wp/v2/pages');
+    expect(pages.searchParams.has('categories')).toBe(false);
+    expect(pages.searchParams.has('tags')).toBe(false);
+  });
+
+  test('drops orderby=relevance without a search term', () => {
+    const site = makeSite({ filters: { ...DEFAULT_FILTERS, orderby: 'relevance' } });
+    expect(new URL(buildPostsUrl(site, {}, 10)).searchParams.has('orderby')).toBe(false);
+
+    const searching = makeSite({ filters: { ...DEFAULT_FILTERS, orderby: 'relevance', search: ' pasta ' } });
+    const url = new URL(buildPostsUrl(searching, {}, 10));
+    expect(url.searchParams.get('orderby')).toBe('relevance');
+    expect(url.searchParams.get('search')).toBe('pasta');
+  });
+
+  test('only asks for non-public statuses with credentials', () => {
+    const filters = { ...DEFAULT_FILTERS, statuses: ['publish', 'draft'] };
+    expect(new URL(buildPostsUrl(makeSite({ filters }), {}, 10)).searchParams.has('status')).toBe(false);
+
+    const site = makeSite({ filters, username: 'editor', appPassword: 'abcd efgh' });
+    expect(new URL(buildPostsUrl(site, {}, 10)).searchParams.get('status')).toBe('publish,draft');
+  });
+});
+
+describe('extractPostData', () => {
+  test('reads the featured image and makes it absolute', () => {
+    const row = extractPostData(makePost(1), makeSite());
+    expect(row.key).toBe('example.com:1');
+    expect(row.title).toBe('Post 1');
+    expect(row.permalink).toBe('https://example.com/post-1/');
+    expect(row.imageUrl).toBe('https://example.com/uploads/1.jpg');
+    expect(row.imageSource).toBe('featured');
+    expect(row.excerpt).toBe('Excerpt');
+  });
+
+  test('uses the featured image for products too', () => {
+    const product = makePost(2, { type: 'product', images: [{ src: 'https://example.com/gallery.jpg' }] });
+    expect(extractPostData(product, makeSite()).imageUrl).toBe('https://example.com/uploads/2.jpg');
+  });
+
+  test('falls back to plugin image fields', () => {
+    const post = makePost(3, { _embedded: {}, jetpack_featured_media_url: 'https://cdn.example.com/3.jpg' });
+    const row = extractPostData(post, makeSite());
+    expect(row.imageUrl).toBe('https://cdn.example.com/3.jpg');
+    expect(row.imageSource).toBe('plugin_field');
+  });
+
+  test('cleans the title and collects embedded terms', () => {
+    const post = makePost(4, {
+      title: { rendered: 'Mom&#8217;s   &amp; Dad&#8217;s Pie' },
+      _embedded: {
+        'wp:term': [
+          [{ taxonomy: 'category', name: 'Desserts' }],
+          [{ taxonomy: 'post_tag', name: 'Baking' }]
+        ]
+      }
+    });
+    const row = extractPostData(post, makeSite());
+    expect(row.title).toBe("Mom's & Dad's Pie");
+    expect(row.categories).toEqual(['Desserts']);
+    expect(row.tags).toEqual(['Baking']);
+    expect(row.imageUrl).toBeNull();
+  });
+});
+
+describe('extractPosts', () => {
+  test('a title with an out-of-range entity does not fail the page', async () => {
+    const posts = await extractPosts([makePost(1, { title: { rendered: 'Bad &#9999999999; entity' } }), makePost(2)], makeSite());
+    expect(posts.map(post => post.title)).toEqual(['Bad &#9999999999; entity', 'Post 2']);
+  });
+});
+
+describe('fetchSitePages', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('walks every page and skips posts already seen', async () => {
+    const pages = {
+      1: [makePost(1), makePost(2)],
+      2: [makePost(2), makePost(3)]
+    };
+    global.fetch = jest.fn(async (url) => jsonResponse(
+      pages[new URL(url).searchParams.get('page')],
+      { headers: { 'X-WP-Total': '4', 'X-WP-TotalPages': '2' } }
+    ));
+    const onPage = jest.fn();
+
+    const result = await fetchSitePages(makeSite(), { perPage: 2, onPage });
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(result).toEqual({ failedPages: [], totalPages: 2 });
+    expect(onPage.mock.calls.map(([posts]) => posts.map(post => post.id))).toEqual([[1, 2], [3]]);
+    expect(onPage.mock.calls[1][1]).toEqual({ page: 2, totalPages: 2, total: 4 });
+  });
+
+  test('keeps going after a later page fails', async () => {
+    global.fetch = jest.fn(async (url) => (new URL(url).searchParams.get('page') === '2'
+      ? jsonResponse(null, { status: 500, statusText: 'Internal Server Error' })
+      : jsonResponse([makePost(Number(new URL(url).searchParams.get('page')))], { headers: { 'X-WP-TotalPages': '3' } })));
+
+    const result = await fetchSitePages(makeSite(), { perPage: 1 });
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(result.failedPages).toEqual(['Page 2: HTTP 500: Internal Server Error']);
+  });
+
+  test('throws when the first page fails', async () => {
+    global.fetch = jest.fn(async () => jsonResponse(null, { status: 404, statusText: 'Not Found' }));
+    await expect(fetchSitePages(makeSite(), { perPage: 10 })).rejects.toThrow('HTTP 404: Not Found');
+  });
+});
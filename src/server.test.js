@@ -0,0 +1,231 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { createServer } from '../server/app.mjs';
+import { parseTitleResponse, validateTitleResponse } from '../server/claude.mjs';
+import { isAllowedEndpoint, resolveProvider } from '../server/providers.mjs';
+import { jsonResponse } from './test/fixtures.js';
+
+describe('parseTitleResponse', () => {
+  test('pulls the JSON array out of surrounding text', () => {
+    expect(parseTitleResponse('Here you go:\n["One", "Two"]\nEnjoy!')).toEqual(['One', 'Two']);
+    expect(parseTitleResponse('[["A1", "A2"], ["B1", "B2"]]')).toEqual([['A1', 'A2'], ['B1', 'B2']]);
+  });
+
+  test('rejects replies without an array', () => {
+    expect(() => parseTitleResponse('Sorry, I cannot help with that.')).toThrow('Invalid response format from AI');
+  });
+
+  test('rejects an array that is not valid JSON', () => {
+    expect(() => parseTitleResponse("['One', 'Two']")).toThrow('AI returned invalid JSON');
+  });
+});
+
+describe('validateTitleResponse', () => {
+  test('accepts one title per post', () => {
+    expect(() => validateTitleResponse(['One', 'Two'], 2)).not.toThrow();
+    expect(() => validateTitleResponse([['A1', 'A2'], ['B1', 'B2']], 2, 2)).not.toThrow();
+  });
+
+  test('rejects a reply with the wrong number of titles', () => {
+    expect(() => validateTitleResponse(['One'], 2)).toThrow('AI returned 1 titles for 2 posts');
+  });
+
+  test('rejects missing variants', () => {
+    expect(() => validateTitleResponse([['A1', 'A2'], ['B1']], 2, 2)).toThrow('AI returned 1 of 2 variants for post 2');
+  });
+
+  test('rejects empty or non-text titles', () => {
+    expect(() => validateTitleResponse(['One', '  '], 2)).toThrow('empty or non-text title for post 2');
+    expect(() => validateTitleResponse([42], 1)).toThrow('empty or non-text title for post 1');
+  });
+});
+
+describe('isAllowedEndpoint', () => {
+  const env = {
+    OPENAI_API_ENDPOINT: 'http://localhost:11434/v1',
+    AI_ALLOWED_ENDPOINTS: 'http://lab.internal:8000/v1/chat/completions, http://gpu.internal:1234/v1'
+  };
+
+  test('allows the server\'s own endpoint and the listed ones', () => {
+    expect(isAllowedEndpoint('openai', 'http://localhost:11434/v1/chat/completions', env)).toBe(true);
+    expect(isAllowedEndpoint('openai', 'http://lab.internal:8000/v1', env)).toBe(true);
+    expect(isAllowedEndpoint('openai', 'http://gpu.internal:1234/v1/chat/completions', env)).toBe(true);
+    expect(isAllowedEndpoint('anthropic', 'https://api.anthropic.com/v1/messages', env)).toBe(true);
+  });
+
+  test('refuses any other host', () => {
+    expect(isAllowedEndpoint('openai', 'http://169.254.169.254/latest/meta-data', env)).toBe(false);
+    expect(isAllowedEndpoint('unknown', 'http://localhost:11434/v1', env)).toBe(false);
+    expect(() => resolveProvider({ provider: 'openai', endpoint: 'http://evil.example/v1' }, env))
+      .toThrow('Endpoint http://evil.example/v1 is not allowed');
+  });
+});
+
+describe('API server', () => {
+  const savedEnv = { ...process.env };
+  let buildDir;
+  let server;
+
+  // Send a raw request and read the reply; the body is parsed as JSON when it is JSON
+  const request = (method, requestPath, body) => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: server.address().port, method, path: requestPath }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        const isJson = (res.headers['content-type'] || '').startsWith('application/json');
+        resolve({ status: res.statusCode, headers: res.headers, body: isJson ? JSON.parse(text) : text });
+      });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  // Anthropic Messages API reply carrying the given text
+  const anthropicReply = (text) => jsonResponse({
+    content: [{ type: 'text', text }],
+    usage: { input_tokens: 120, output_tokens: 40 }
+  });
+
+  beforeAll(async () => {
+    buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wp2canva-build-'));
+    fs.writeFileSync(path.join(buildDir, 'index.html'), '<!doctype html><title>App</title>');
+    fs.writeFileSync(path.join(buildDir, 'app.js'), 'console.log("app");');
+    fs.mkdirSync(`${buildDir}-old`);
+    fs.writeFileSync(path.join(`${buildDir}-old`, 'secret.txt'), 'secret');
+
+    server = createServer({ buildDir });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(buildDir, { recursive: true, force: true });
+    fs.rmSync(`${buildDir}-old`, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    process.env = { ...savedEnv, CLAUDE_API_KEY: 'server-key', CLAUDE_MAX_RETRIES: '0' };
+    ['AI_PROVIDER', 'AI_ALLOWED_ENDPOINTS', 'CLAUDE_API_ENDPOINT', 'OPENAI_API_ENDPOINT', 'CORS_ORIGIN']
+      .forEach(name => { delete process.env[name]; });
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = savedEnv;
+    delete global.fetch;
+    console.error.mockRestore();
+  });
+
+  test('optimizes titles through the server\'s provider', async () => {
+    global.fetch.mockResolvedValue(anthropicReply('["Better One", "Better Two"]'));
+
+    const res = await request('POST', '/api/optimize-titles', JSON.stringify({ titles: ['One', 'Two'] }));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      titles: ['Better One', 'Better Two'],
+      variants: [['Better One'], ['Better Two']],
+      angles: [],
+      usage: { inputTokens: 120, outputTokens: 40 }
+    });
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(options.headers['x-api-key']).toBe('server-key');
+  });
+
+  test('scales the default max tokens with the titles and variants in the request', async () => {
+    const titles = Array.from({ length: 20 }, (_, index) => `Title ${index + 1}`);
+    const reply = JSON.stringify(titles.map(title => [`${title} A`, `${title} B`, `${title} C`]));
+    global.fetch.mockResolvedValue(anthropicReply(reply));
+
+    const res = await request('POST', '/api/optimize-titles', JSON.stringify({ titles, variants: 3 }));
+
+    expect(res.status).toBe(200);
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).max_tokens).toBe(200 * 20 * 3);
+  });
+
+  test('refuses max characters and max tokens outside the accepted ranges', async () => {
+    const send = (settings) => request('POST', '/api/optimize-titles', JSON.stringify({ titles: ['One'], settings }));
+
+    expect((await send({ maxChars: 5 })).body.error).toBe('"settings.maxChars" must be a whole number from 10 to 500');
+    expect((await send({ maxTokens: 50 })).body.error).toBe('"settings.maxTokens" must be a whole number from 100 to 64000');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('passes upstream rate limits on with their retry-after', async () => {
+    global.fetch.mockResolvedValue(jsonResponse(
+      { error: { type: 'rate_limit_error', message: 'Slow down' } },
+      { status: 429, statusText: 'Too Many Requests', headers: { 'retry-after': '30' } }
+    ));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const res = await request('POST', '/api/optimize-titles', JSON.stringify({ titles: ['One'] }));
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe('30');
+    console.warn.mockRestore();
+  });
+
+  test('generates pin details', async () => {
+    global.fetch.mockResolvedValue(anthropicReply('[{ "description": "A cozy soup.", "keywords": ["soup", " "] }]'));
+
+    const res = await request('POST', '/api/pin-details', JSON.stringify({
+      items: [{ title: 'Soup', content: 'Soup recipe' }],
+      fields: ['description', 'keywords']
+    }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.details).toEqual([{ description: 'A cozy soup.', keywords: ['soup'] }]);
+  });
+
+  test.each(['null', '[1, 2]', '"titles"', '42'])('refuses a %s body and keeps serving', async (body) => {
+    const titles = await request('POST', '/api/optimize-titles', body);
+    const details = await request('POST', '/api/pin-details', body);
+
+    expect(titles).toMatchObject({ status: 400, body: { error: 'Request body must be a JSON object' } });
+    expect(details).toMatchObject({ status: 400, body: { error: 'Request body must be a JSON object' } });
+    expect((await request('GET', '/')).status).toBe(200);
+  });
+
+  test('refuses invalid JSON and malformed requests', async () => {
+    expect((await request('POST', '/api/optimize-titles', '{"titles": [')).body.error).toBe('Request body must be valid JSON');
+    expect((await request('POST', '/api/optimize-titles', '{"titles": []}')).status).toBe(400);
+    expect((await request('POST', '/api/optimize-titles', '{"titles": ["One"], "variants": 9}')).status).toBe(400);
+    expect((await request('GET', '/api/optimize-titles')).status).toBe(405);
+    expect((await request('POST', '/api/unknown', '{}')).status).toBe(404);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('refuses endpoints the operator has not allowed', async () => {
+    const body = JSON.stringify({ titles: ['One'], settings: { provider: 'openai', endpoint: 'http://169.254.169.254/v1' } });
+
+    const res = await request('POST', '/api/optimize-titles', body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('AI_ALLOWED_ENDPOINTS');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('answers 400 to a request target that is not a URL', async () => {
+    const res = await request('GET', 'http://[');
+    expect(res.status).toBe(400);
+    expect((await request('GET', '/')).status).toBe(200);
+  });
+
+  test('serves the build and falls back to index.html', async () => {
+    expect(await request('GET', '/app.js')).toMatchObject({ status: 200, body: 'console.log("app");' });
+    expect(await request('GET', '/settings/sites')).toMatchObject({ status: 200, body: '<!doctype html><title>App</title>' });
+  });
+
+  test('keeps static requests inside the build folder', async () => {
+    expect((await request('GET', `/..%2f${path.basename(buildDir)}-old%2fsecret.txt`)).status).toBe(403);
+    expect((await request('GET', '/%E0%A4%A')).status).toBe(400);
+  });
+});
@@ -0,0 +1,53 @@
+// Shared test data: WordPress REST items, site settings, table rows and fetch responses
+
+import { DEFAULT_IMAGE_FALLBACK } from '../core/images.mjs';
+import { DEFAULT_TEXT_RULES } from '../core/text.mjs';
+import { DEFAULT_CONTENT_TYPE, DEFAULT_FILTERS } from '../core/wordpress.mjs';
+
+// Site settings as the app keeps them; fallback image strategies are off so tests make no extra requests
+export const makeSite = (overrides = {}) => ({
+  name: 'Example',
+  domain: 'example.com',
+  contentType: DEFAULT_CONTENT_TYPE,
+  username: '',
+  appPassword: '',
+  filters: DEFAULT_FILTERS,
+  imageFallback: { ...DEFAULT_IMAGE_FALLBACK, order: [] },
+  textRules: DEFAULT_TEXT_RULES,
+  ...overrides
+});
+
+// A post as /wp/v2/posts?_embed returns it
+export const makePost = (id, overrides = {}) => ({
+  id,
+  type: 'post',
+  link: `https://example.com/post-${id}/`,
+  title: { rendered: `Post ${id}` },
+  excerpt: { rendered: '<p>Excerpt</p>' },
+  content: { rendered: '<p>Content</p>' },
+  _embedded: { 'wp:featuredmedia': [{ source_url: `/uploads/${id}.jpg` }] },
+  ...overrides
+});
+
+// A results table row after fetching and optimizing, one per kept variant
+export const makeRow = (id, overrides = {}) => ({
+  key: `example.com:${id}`,
+  site: 'Example',
+  domain: 'example.com',
+  title: `Post ${id}`,
+  optimizedTitle: `Better post ${id}`,
+  permalink: `https://example.com/post-${id}/`,
+  imageUrl: `https://example.com/${id}.jpg`,
+  categories: ['Dinner'],
+  variantNumber: 1,
+  ...overrides
+});
+
+// Minimal stand-in for a fetch Response with a JSON body
+export const jsonResponse = (data, { status = 200, statusText = 'OK', headers = {} } = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText,
+  headers: { get: (name) => headers[name] ?? headers[name.toLowerCase()] ?? null },
+  json: async () => data
+});